@@ -0,0 +1,77 @@
+'use strict'
+
+const EventEmitter = require('events')
+const { isPlainObject } = require('lodash')
+
+const { WalletError } = require('./errors')
+
+/**
+ * Add the chain ID to an event payload. Plain objects are copied and wallet
+ * errors get it in their `meta`.
+ *
+ * @param {any} payload The event payload.
+ * @param {number} chainId The chain ID.
+ * @returns {any} The payload with the chain ID.
+ */
+function withChainId(payload, chainId) {
+  if (payload === undefined) {
+    return { chainId }
+  }
+  if (isPlainObject(payload)) {
+    return Object.assign({}, payload, { chainId })
+  }
+  if (payload instanceof WalletError && payload.meta.chainId === undefined) {
+    payload.meta.chainId = chainId
+  }
+  return payload
+}
+
+/**
+ * Create one event bus per chain, connected to the core event bus.
+ *
+ * Events emitted by the plugins of a chain are delivered to the plugins of that
+ * chain and to the core event bus, adding the `chainId` to the payload.
+ * Events emitted on the core event bus, by the core's user or by plugins that
+ * are not bound to a chain, are delivered to all the chains, unless the payload
+ * has a `chainId` property. In such case, only that chain will receive it.
+ *
+ * @param {object} eventBus The core event bus.
+ * @param {number[]} chainIds The chain IDs.
+ * @returns {object} The chain event buses by chain ID.
+ */
+function createChainBuses(eventBus, chainIds) {
+  const emit = eventBus.emit.bind(eventBus)
+
+  const chainBuses = {}
+
+  chainIds.forEach(function (chainId) {
+    const chainBus = new EventEmitter()
+    const emitLocal = chainBus.emit.bind(chainBus)
+
+    chainBus.emit = function (eventName, payload, ...args) {
+      const result = emitLocal(eventName, payload, ...args)
+      emit(eventName, withChainId(payload, chainId), ...args)
+      return result
+    }
+    chainBus.emitLocal = emitLocal
+
+    chainBuses[chainId] = chainBus
+  })
+
+  eventBus.emit = function (eventName, payload, ...args) {
+    const result = emit(eventName, payload, ...args)
+    const targetChainId = payload && payload.chainId
+    chainIds
+      .filter(
+        chainId => targetChainId === undefined || chainId === targetChainId
+      )
+      .forEach(function (chainId) {
+        chainBuses[chainId].emitLocal(eventName, payload, ...args)
+      })
+    return result
+  }
+
+  return chainBuses
+}
+
+module.exports = createChainBuses
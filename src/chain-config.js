@@ -0,0 +1,45 @@
+'use strict'
+
+const { merge, omit } = require('lodash')
+
+/**
+ * Get the config of a chain by merging its own keys into the core config.
+ *
+ * @param {object} config The core config.
+ * @param {object} chain The chain config, as set in `config.chains`.
+ * @returns {object} The complete chain config.
+ */
+const getChainConfig = (config, chain) =>
+  merge({}, omit(config, ['chains']), chain)
+
+/**
+ * Merge a partial config into the current one. The keys of each chain in
+ * `partial.chains` are merged into the chain with the same `chainId`.
+ *
+ * @param {object} config The current config.
+ * @param {object} partial The config keys to change.
+ * @returns {object} The new config.
+ * @throws {Error} If a chain in the partial config is not running.
+ */
+function mergeConfig(config, partial) {
+  const merged = merge({}, config, omit(partial, ['chains']))
+
+  if (partial.chains) {
+    partial.chains.forEach(function (chain) {
+      const target = (merged.chains || []).find(
+        c => c.chainId === chain.chainId
+      )
+      if (!target) {
+        throw new Error(`Chain ${chain.chainId} is not running`)
+      }
+      merge(target, chain)
+    })
+  }
+
+  return merged
+}
+
+module.exports = {
+  getChainConfig,
+  mergeConfig
+}
@@ -0,0 +1,30 @@
+'use strict'
+
+const { isPlainObject, uniq } = require('lodash')
+
+// Config keys shared by all plugins. See `validate-config` for the rules format
+// and each plugin for its own keys.
+module.exports = {
+  chainId: { type: 'integer', min: 1 },
+  chains: {
+    type: 'array',
+    optional: true,
+    check(chains) {
+      if (!chains.length || !chains.every(isPlainObject)) {
+        return 'must be a non-empty list of chain configs'
+      }
+      const chainIds = chains.map(chain => chain.chainId)
+      if (chainIds.includes(undefined)) {
+        return 'must set the chainId of each chain'
+      }
+      if (uniq(chainIds).length !== chainIds.length) {
+        return 'must not have repeated chain IDs'
+      }
+      return undefined
+    }
+  },
+  debug: { type: 'boolean' },
+  displayName: { type: 'string' },
+  readyTimeoutMs: { type: 'integer', min: 1 },
+  symbol: { type: 'string' }
+}
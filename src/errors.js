@@ -0,0 +1,101 @@
+'use strict'
+
+const { mapValues } = require('lodash')
+
+/**
+ * The known error codes. Errors are `retryable` if the wallet can recover by
+ * itself or by retrying the same operation. The `severity` is one of `fatal`,
+ * `error` or `warning`.
+ */
+const errorCodes = {
+  ADDRESS_DISCOVERY_FAILED: { retryable: true, severity: 'error' },
+  BALANCE_UNAVAILABLE: { retryable: true, severity: 'warning' },
+  CONFIG_INVALID: { retryable: false, severity: 'fatal' },
+  CONTRACT_CALL_FAILED: { retryable: true, severity: 'error' },
+  ETH_BLOCKS_UNAVAILABLE: { retryable: true, severity: 'error' },
+  ETH_CHAIN_UNVERIFIED: { retryable: true, severity: 'error' },
+  ETH_WRONG_CHAIN: { retryable: false, severity: 'fatal' },
+  GAS_ESTIMATION_FAILED: { retryable: true, severity: 'error' },
+  INDEXER_DISCONNECTED: { retryable: true, severity: 'warning' },
+  KEYSTORE_INVALID: { retryable: false, severity: 'error' },
+  METRONOME_STATUS_UNAVAILABLE: { retryable: true, severity: 'warning' },
+  MNEMONIC_INVALID: { retryable: false, severity: 'error' },
+  PLUGIN_NOT_READY: { retryable: true, severity: 'error' },
+  PLUGIN_START_FAILED: { retryable: false, severity: 'fatal' },
+  RATES_UNAVAILABLE: { retryable: true, severity: 'warning' },
+  STORAGE_FAILED: { retryable: true, severity: 'warning' },
+  SYNC_EVENT_FAILED: { retryable: true, severity: 'error' },
+  SYNC_TRANSACTIONS_FAILED: { retryable: true, severity: 'error' },
+  TOKEN_BALANCE_UNAVAILABLE: { retryable: true, severity: 'warning' },
+  TRANSACTION_EMIT_FAILED: { retryable: true, severity: 'error' },
+  TRANSACTION_FAILED: { retryable: false, severity: 'error' }
+}
+
+/**
+ * The error emitted in `wallet-error` events and used to reject the API calls.
+ *
+ * The `meta` property holds the context of the error: the `plugin` that
+ * raised it and, depending on the error, the `chainId`, `address`,
+ * `eventName`, `fromBlock`, `toBlock`, etc.
+ */
+class WalletError extends Error {
+  /**
+   * @param {string} code One of the known error codes.
+   * @param {string} message The error message.
+   * @param {object} [options] The error options.
+   * @param {Error} [options.inner] The error that caused this one.
+   * @param {object} [options.meta] The error context.
+   */
+  constructor(code, message, { inner, meta = {} } = {}) {
+    super(message)
+
+    const { retryable, severity } = errorCodes[code]
+
+    this.name = 'WalletError'
+    this.code = code
+    this.inner = inner
+    this.meta = meta
+    this.retryable = retryable
+    this.severity = severity
+  }
+}
+
+/**
+ * Convert any error into a wallet error. Wallet errors are returned as is.
+ *
+ * @param {Error} err The error to convert.
+ * @param {string} code The error code.
+ * @param {object} meta The error context.
+ * @returns {WalletError} The wallet error.
+ */
+const toWalletError = (err, code, meta) =>
+  err instanceof WalletError
+    ? err
+    : new WalletError(code, err.message, { inner: err, meta })
+
+/**
+ * Wrap the methods of a plugin API so these reject with wallet errors. The
+ * methods without an error code are not wrapped.
+ *
+ * @param {object} api The plugin API.
+ * @param {string} plugin The plugin name.
+ * @param {object} codes The error code of each method.
+ * @returns {object} The wrapped API.
+ */
+const wrapApi = (api, plugin, codes) =>
+  mapValues(api, (fn, method) =>
+    codes[method]
+      ? (...args) =>
+          new Promise(resolve => resolve(fn(...args))).catch(function (err) {
+            const meta = { method, plugin }
+            return Promise.reject(toWalletError(err, codes[method], meta))
+          })
+      : fn
+  )
+
+module.exports = {
+  errorCodes,
+  toWalletError,
+  WalletError,
+  wrapApi
+}
@@ -1,97 +1,568 @@
 'use strict'
 
-const { merge, union } = require('lodash')
+const { difference, isNil, merge, noop, omitBy, uniq } = require('lodash')
 const debug = require('debug')('met-wallet:core')
 const EventEmitter = require('events')
+const pTimeout = require('p-timeout')
 
+const { getChainConfig, mergeConfig } = require('./chain-config')
+const { WalletError } = require('./errors')
+const { createFileStorage, createMemoryStorage } = require('./storage')
+const configSchema = require('./config-schema')
+const createChainBuses = require('./chain-bus')
+const createMetrics = require('./metrics')
 const defaultConfig = require('./defaultConfig')
+const sortPlugins = require('./sort-plugins')
+const validateConfig = require('./validate-config')
 
-const pluginCreators = [
-  require('./plugins/rates'),
-  require('./plugins/eth'),
-  require('./plugins/explorer'),
-  require('./plugins/wallet'),
-  require('./plugins/tokens'),
-  require('./plugins/metronome')
-]
+const bundledPlugins = {
+  rates: require('./plugins/rates'),
+  state: require('./plugins/state'),
+  eth: require('./plugins/eth'),
+  explorer: require('./plugins/explorer'),
+  wallet: require('./plugins/wallet'),
+  tokens: require('./plugins/tokens'),
+  metronome: require('./plugins/metronome'),
+  health: require('./plugins/health')
+}
+
+const isThenable = value => !!value && typeof value.then === 'function'
+
+/**
+ * Call a function on each item, one after the other. If a call returns a
+ * promise, the following calls wait for it to resolve.
+ *
+ * @param {any[]} items The items to iterate over.
+ * @param {Function} fn The function to call on each item.
+ * @returns {any} A promise if any call was asynchronous, the last result
+ *   otherwise.
+ */
+const runInSequence = (items, fn) =>
+  items.reduce(
+    (prev, item) => (isThenable(prev) ? prev.then(() => fn(item)) : fn(item)),
+    null
+  )
+
+/**
+ * Create the error reported when a plugin fails to start or to get ready.
+ *
+ * @param {string} name The plugin name.
+ * @param {Error} inner The error thrown by the plugin.
+ * @param {number} [chainId] The chain ID, if the plugin is bound to a chain.
+ * @returns {WalletError} The error.
+ */
+function createStartError(name, inner, chainId) {
+  const chain = chainId ? ` on chain ${chainId}` : ''
+  return new WalletError(
+    'PLUGIN_START_FAILED',
+    `Plugin ${name} failed to start${chain}: ${inner.message}`,
+    { inner, meta: omitBy({ chainId, plugin: name }, isNil) }
+  )
+}
+
+/**
+ * Get the name of a plugin entry to report, with its chain if bound to one.
+ *
+ * @param {object} entry The plugin entry.
+ * @returns {string} The name.
+ */
+const getEntryName = entry =>
+  entry.chainId
+    ? `${entry.plugin.name} on chain ${entry.chainId}`
+    : entry.plugin.name
 
-function createCore () {
+/**
+ * Create a wallet core instance.
+ *
+ * @param {object} [options] The core options.
+ * @param {Function[]} [options.plugins] The plugin creators to use. Defaults
+ * to all bundled plugins.
+ * @param {object} [options.storage] The storage adapter used to persist data
+ * between restarts. Defaults to an in-memory storage.
+ * @param {Function} [options.metricsCollector] Called with each measurement of
+ * the provider requests, indexer calls, rate fetches, etc.
+ * @param {Function} [options.createProvider] Creates the provider of each node.
+ * Called with the `chainId`, `web3Timeout` and `wsApiUrl` of the node, i.e. to
+ * use the provider of a mock chain in tests. Defaults to an HTTP, WebSocket or
+ * IPC provider by the node URL.
+ * @returns {object} The core instance.
+ */
+function createCore({
+  createProvider,
+  metricsCollector,
+  plugins: givenPluginCreators,
+  storage = createMemoryStorage()
+} = {}) {
+  const pluginCreators = givenPluginCreators
+    ? givenPluginCreators.slice()
+    : Object.values(bundledPlugins)
+
+  const metrics = createMetrics({ collector: metricsCollector })
+
+  let clearReadyTimeout = noop
+  let currentConfig
   let eventBus
   let initialized = false
-  let plugins
+  let readyPromise
+  let schemas
+  let startedEntries
 
-  function start (givenConfig) {
+  /**
+   * Add a plugin creator to the core. If the plugin has the same name as an
+   * already added one, it will replace it.
+   *
+   * @param {Function} createPlugin The plugin creator.
+   * @returns {object} The core instance.
+   */
+  function use(createPlugin) {
     if (initialized) {
       throw new Error('Wallet Core already initialized')
     }
 
-    const config = merge({}, defaultConfig, givenConfig)
+    pluginCreators.push(createPlugin)
+
+    // eslint-disable-next-line no-use-before-define
+    return core
+  }
+
+  /**
+   * Create the plugins to start. If several have the same name, the last one
+   * added is used.
+   *
+   * @returns {object[]} The plugins.
+   */
+  function createPlugins() {
+    const byName = new Map()
+
+    pluginCreators
+      .map(create => create())
+      .forEach(function (plugin, i) {
+        byName.set(plugin.name || `#${i}`, plugin)
+      })
+
+    return Array.from(byName.values())
+  }
+
+  /**
+   * Create the list of plugins to start, each one with its config, event bus
+   * and the object where its API will be exposed.
+   *
+   * If the config has a list of chains, each chain gets its own instances of
+   * the plugins flagged as `perChain`, exposed in `api.chains[chainId]`.
+   *
+   * @param {object[]} plugins The plugin instances.
+   * @param {object} config The config.
+   * @param {object} bus The core event bus.
+   * @param {object} pluginsApi The object where the API is exposed.
+   * @returns {object[]} The entries in start order.
+   */
+  function createEntries(plugins, config, bus, pluginsApi) {
+    if (!config.chains) {
+      return sortPlugins(plugins).map(plugin => ({
+        api: pluginsApi,
+        config,
+        eventBus: bus,
+        plugin
+      }))
+    }
+
+    const globalPlugins = sortPlugins(plugins.filter(p => !p.perChain))
+    const globalEntries = globalPlugins.map(plugin => ({
+      api: pluginsApi,
+      config,
+      eventBus: bus,
+      plugin
+    }))
+
+    const chainBuses = createChainBuses(
+      bus,
+      config.chains.map(chain => chain.chainId)
+    )
+
+    pluginsApi.chains = {}
+
+    const chainEntries = config.chains.map(function (chain) {
+      const { chainId } = chain
 
-    eventBus = new EventEmitter()
+      // Plugins of the chain can also access the global plugins
+      const chainApi = Object.create(pluginsApi)
+      pluginsApi.chains[chainId] = chainApi
+
+      const chainPlugins = sortPlugins(
+        createPlugins().filter(p => p.perChain),
+        globalPlugins.map(p => p.name)
+      )
+
+      return chainPlugins.map(plugin => ({
+        api: chainApi,
+        chainId,
+        config: getChainConfig(config, chain),
+        eventBus: chainBuses[chainId],
+        plugin
+      }))
+    })
+
+    return globalEntries.concat(...chainEntries)
+  }
+
+  /**
+   * Start the plugins in dependency order.
+   *
+   * If a plugin fails to start or to get ready, the plugins already started
+   * are stopped and the core can be started again. If the plugins are not
+   * ready after `readyTimeoutMs`, the core is not stopped but `ready()`
+   * rejects listing the plugins still not ready.
+   *
+   * @param {object} [givenConfig] The config.
+   * @returns {object} The core instance with the API and events.
+   * @throws {Error} If the config is invalid or a plugin fails to start.
+   */
+  function start(givenConfig) {
+    if (initialized) {
+      throw new Error('Wallet Core already initialized')
+    }
+
+    const plugins = createPlugins()
+
+    schemas = [configSchema].concat(
+      plugins.map(plugin => plugin.configSchema || {})
+    )
+
+    const config = validateConfig(
+      merge({}, defaultConfig, givenConfig),
+      schemas,
+      givenConfig
+    )
+    currentConfig = config
+
+    const bus = new EventEmitter()
+    eventBus = bus
 
     debug.enabled = config.debug
     if (config.debug) {
       const emit = eventBus.emit.bind(eventBus)
       eventBus.emit = function (eventName, ...args) {
         debug('<<--', eventName, ...args)
-        emit(eventName, ...args)
+        return emit(eventName, ...args)
       }
     }
 
+    const coreEvents = ['core-ready', 'wallet-error']
+    const pluginsApi = {
+      metrics: {
+        reset: metrics.reset,
+        snapshot: metrics.snapshot
+      }
+    }
+    const readiness = []
+
+    const entries = createEntries(plugins, config, bus, pluginsApi)
+    const notReady = entries.map(getEntryName)
+    startedEntries = []
+
     debug('Wallet core starting', config)
+    debug(
+      'Plugins start order',
+      entries.map(entry => entry.plugin.name)
+    )
 
-    let coreEvents = []
-    const pluginsApi = {}
+    /**
+     * Expose the API and events of a started plugin and track its readiness.
+     *
+     * @param {object} entry The plugin entry.
+     * @param {object} [details] What the plugin start function returned.
+     * @returns {null} Nothing, or the plugin stop result if the core was
+     *   stopped while starting.
+     */
+    function registerPlugin(entry, details) {
+      const { api: target, chainId, plugin } = entry
 
-    plugins = pluginCreators.map(create => create())
+      if (eventBus !== bus) {
+        // The core was stopped while this plugin was starting
+        return plugin.stop()
+      }
 
-    plugins.forEach(function (plugin) {
-      const params = { config, eventBus, plugins: pluginsApi }
-      const { api, events, name } = plugin.start(params)
+      const {
+        api,
+        events,
+        name = plugin.name,
+        ready: pluginReady
+      } = details || {}
 
       if (api && name) {
-        pluginsApi[name] = api
+        target[name] = api
       }
 
       if (events) {
-        coreEvents = union(coreEvents, events)
+        coreEvents.push(...difference(events, coreEvents))
       }
-    })
 
-    debug('Exposed events', coreEvents)
+      startedEntries.push(entry)
+
+      readiness.push(
+        Promise.resolve(pluginReady).then(
+          function () {
+            notReady.splice(notReady.indexOf(getEntryName(entry)), 1)
+          },
+          err => createStartError(name, err, chainId)
+        )
+      )
+
+      return null
+    }
+
+    /**
+     * Start a plugin and register it, waiting for it if it starts async.
+     *
+     * @param {object} entry The plugin entry.
+     * @returns {Promise|null} Resolves when the plugin is registered.
+     */
+    function startPlugin(entry) {
+      if (eventBus !== bus) {
+        return null
+      }
+
+      const { api, chainId, config: pluginConfig, plugin } = entry
+
+      const pluginMetrics =
+        chainId === undefined ? metrics : metrics.withLabels({ chainId })
+
+      const params = {
+        config: pluginConfig,
+        createProvider,
+        eventBus: entry.eventBus,
+        metrics: pluginMetrics,
+        plugins: api,
+        storage
+      }
+
+      const end = pluginMetrics.start('plugin-start', plugin.name)
+
+      let details
+      try {
+        details = plugin.start(params)
+      } catch (err) {
+        end(err)
+        throw createStartError(plugin.name, err, chainId)
+      }
+
+      if (!isThenable(details)) {
+        end()
+        return registerPlugin(entry, details)
+      }
+
+      return details.then(
+        function (result) {
+          end()
+          return registerPlugin(entry, result)
+        },
+        function (err) {
+          end(err)
+          return Promise.reject(createStartError(plugin.name, err, chainId))
+        }
+      )
+    }
+
+    /**
+     * Stop the plugins already started, in reverse order.
+     *
+     * @returns {Promise} Resolves when all are stopped.
+     */
+    function stopStarted() {
+      if (eventBus !== bus) {
+        return Promise.resolve()
+      }
+
+      const entriesToStop = startedEntries.splice(0).reverse()
+      debug(
+        'Stopping the plugins started',
+        entriesToStop.map(entry => entry.plugin.name)
+      )
+      return Promise.resolve()
+        .then(() => runInSequence(entriesToStop, entry => entry.plugin.stop()))
+        .catch(function (err) {
+          debug('Could not stop the plugins started', err.message)
+        })
+    }
 
     initialized = true
 
-    return {
+    let started
+    try {
+      started = runInSequence(entries, startPlugin)
+    } catch (err) {
+      stopStarted()
+      initialized = false
+      throw err
+    }
+
+    const instance = {
       api: pluginsApi,
       emitter: eventBus,
       events: coreEvents
     }
+
+    const allReady = Promise.resolve(started)
+      .then(() => Promise.all(readiness))
+      .then(function (errors) {
+        const err = errors.find(e => !!e)
+        if (err) {
+          throw err
+        }
+        return instance
+      })
+      .catch(function (err) {
+        const stopped = stopStarted()
+        // Let the core be started again, as when a plugin throws on start
+        if (eventBus === bus) {
+          initialized = false
+        }
+        return stopped.then(function () {
+          throw err
+        })
+      })
+
+    // Plugins may keep trying to get ready, i.e. to reach the indexer
+    const { readyTimeoutMs } = config
+    readyPromise = pTimeout(allReady, readyTimeoutMs, function () {
+      throw new WalletError(
+        'PLUGIN_NOT_READY',
+        `Plugins not ready after ${readyTimeoutMs} ms: ${notReady.join(', ')}`,
+        { meta: { plugins: notReady.slice() } }
+      )
+    })
+    clearReadyTimeout = readyPromise.clear
+
+    readyPromise
+      .then(function () {
+        debug('Wallet core ready')
+        bus.emit('core-ready')
+      })
+      .catch(function (err) {
+        bus.emit('wallet-error', err)
+      })
+
+    debug('Exposed events', coreEvents)
+
+    return instance
   }
 
-  function stop () {
+  /**
+   * Wait until all plugins are started and ready.
+   *
+   * @returns {Promise} Resolves to the same object returned by `start`.
+   */
+  function ready() {
+    if (!initialized) {
+      return Promise.reject(new Error('Wallet Core not initialized'))
+    }
+
+    return readyPromise
+  }
+
+  /**
+   * Change the config of a running core. Each plugin decides how to apply the
+   * changes, e.g. the `eth` plugin connects to a new node if `wsApiUrl`
+   * changed. Only the keys flagged as `runtime` in the schemas can change.
+   *
+   * @param {object} partialConfig The config keys to change.
+   * @returns {Promise} Resolves once all plugins applied the new config.
+   */
+  function reconfigure(partialConfig) {
+    if (!initialized) {
+      return Promise.reject(new Error('Wallet Core not initialized'))
+    }
+
+    let config
+    try {
+      config = validateConfig(
+        mergeConfig(currentConfig, partialConfig),
+        schemas,
+        partialConfig,
+        currentConfig
+      )
+    } catch (err) {
+      return Promise.reject(err)
+    }
+
+    debug('Wallet core reconfiguring', partialConfig)
+
+    currentConfig = config
+
+    const reconfigured = runInSequence(
+      startedEntries.slice(),
+      function (entry) {
+        const previousConfig = entry.config
+        entry.config =
+          entry.chainId === undefined
+            ? config
+            : getChainConfig(
+                config,
+                config.chains.find(chain => chain.chainId === entry.chainId)
+              )
+
+        return entry.plugin.reconfigure
+          ? entry.plugin.reconfigure({ config: entry.config, previousConfig })
+          : null
+      }
+    )
+
+    return Promise.resolve(reconfigured).then(noop)
+  }
+
+  /**
+   * Stop the plugins in reverse start order.
+   *
+   * @returns {Promise} Resolves when all plugins are stopped.
+   */
+  function stop() {
     if (!initialized) {
       throw new Error('Wallet Core not initialized')
     }
 
-    plugins.reverse().forEach(function (plugin) {
-      plugin.stop()
-    })
+    clearReadyTimeout()
+    clearReadyTimeout = noop
 
-    plugins = null
+    const entriesToStop = startedEntries.reverse()
+    const buses = uniq([eventBus].concat(entriesToStop.map(e => e.eventBus)))
 
-    eventBus.removeAllListeners()
+    currentConfig = null
+    startedEntries = null
     eventBus = null
+    readyPromise = null
 
     initialized = false
 
-    debug('Wallet core stopped')
+    /**
+     * Remove all the listeners once the plugins are stopped.
+     */
+    function cleanUp() {
+      buses.forEach(function (bus) {
+        bus.removeAllListeners()
+      })
+
+      debug('Wallet core stopped')
+    }
+
+    const stopped = runInSequence(entriesToStop, entry => entry.plugin.stop())
+
+    return isThenable(stopped)
+      ? stopped.then(cleanUp)
+      : Promise.resolve(cleanUp())
   }
 
-  return {
+  const core = {
+    ready,
+    reconfigure,
     start,
-    stop
+    stop,
+    use
   }
+
+  return core
 }
 
+createCore.plugins = bundledPlugins
+createCore.storage = { createFileStorage, createMemoryStorage }
+
 module.exports = createCore
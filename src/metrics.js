@@ -0,0 +1,136 @@
+'use strict'
+
+const { isNil, omitBy } = require('lodash')
+const debug = require('debug')('met-wallet:core:metrics')
+
+/**
+ * Create the metrics recorder. It counts and times operations, like provider
+ * requests or indexer calls, by name and method.
+ *
+ * Each measurement is also sent to the optional collector as an object with
+ * the `name`, `method`, `durationMs` and `error` properties and the labels of
+ * the recorder, like the `chainId`.
+ *
+ * @param {object} [options] The options.
+ * @param {Function} [options.collector] Called with each measurement.
+ * @returns {object} The recorder.
+ */
+function createMetrics({ collector } = {}) {
+  let stats = new Map()
+
+  /**
+   * Add a measurement to the stats and send it to the collector.
+   *
+   * @param {object} measurement The measurement.
+   */
+  function record(measurement) {
+    const { chainId, durationMs, error, method, name } = measurement
+    const key = [chainId, name, method].join(':')
+
+    const stat = stats.get(key) || {
+      chainId,
+      count: 0,
+      errors: 0,
+      maxMs: 0,
+      method,
+      name,
+      totalMs: 0
+    }
+    stat.count += 1
+    stat.errors += error ? 1 : 0
+    stat.maxMs = Math.max(stat.maxMs, durationMs)
+    stat.totalMs += durationMs
+    stats.set(key, stat)
+
+    if (collector) {
+      try {
+        collector(measurement)
+      } catch (err) {
+        debug('Metrics collector failed', err.message)
+      }
+    }
+  }
+
+  /**
+   * Create a recorder that adds labels to its measurements.
+   *
+   * @param {object} labels The labels, e.g. `chainId`.
+   * @returns {object} The recorder.
+   */
+  function createRecorder(labels) {
+    /**
+     * Start measuring an operation.
+     *
+     * @param {string} name The operation name, e.g. `rpc`.
+     * @param {string} method The operation method, e.g. `eth_getBalance`.
+     * @returns {Function} Call with the error, if any, once the operation ends.
+     */
+    function start(name, method) {
+      const startTime = Date.now()
+      return function (error) {
+        record(
+          Object.assign({}, labels, {
+            durationMs: Date.now() - startTime,
+            error: !!error,
+            method,
+            name
+          })
+        )
+      }
+    }
+
+    /**
+     * Measure an asynchronous operation.
+     *
+     * @param {string} name The operation name.
+     * @param {string} method The operation method.
+     * @param {Function} fn The operation. May return a promise.
+     * @returns {Promise} Resolves or rejects as the operation.
+     */
+    function time(name, method, fn) {
+      const end = start(name, method)
+      return new Promise(resolve => resolve(fn())).then(
+        function (result) {
+          end()
+          return result
+        },
+        function (err) {
+          end(err)
+          throw err
+        }
+      )
+    }
+
+    return {
+      start,
+      time,
+      withLabels: more => createRecorder(Object.assign({}, labels, more))
+    }
+  }
+
+  /**
+   * Get the count, errors and timing of each operation.
+   *
+   * @returns {object[]} The stats.
+   */
+  const snapshot = () =>
+    Array.from(stats.values()).map(stat =>
+      omitBy(
+        Object.assign({}, stat, {
+          avgMs: Math.round(stat.totalMs / stat.count)
+        }),
+        isNil
+      )
+    )
+
+  /**
+   * Clear the stats.
+   */
+  function reset() {
+    stats = new Map()
+  }
+
+  return Object.assign(createRecorder({}), { reset, snapshot })
+}
+
+module.exports = createMetrics
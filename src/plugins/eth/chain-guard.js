@@ -0,0 +1,145 @@
+'use strict'
+
+const debug = require('debug')('met-wallet:core:eth:chain-guard')
+
+const { noop } = require('lodash')
+
+const { WalletError } = require('../../errors')
+const checkChain = require('./check-chain')
+
+/**
+ * Keep track of the chain of the node the wallet is connected to. The chain is
+ * checked again each time the provider connects as, after reconnecting or
+ * failing over, the node could be in a different chain.
+ *
+ * While the chain does not match, `chain-mismatch` is emitted and the guarded
+ * functions reject with `ETH_WRONG_CHAIN` so no transactions are sent to the
+ * wrong chain. While the chain is being checked, the guarded functions wait
+ * for the check and, if it could not be done, reject with
+ * `ETH_CHAIN_UNVERIFIED`.
+ *
+ * @param {object} config The config.
+ * @param {object} eventBus The cross-plugin event bus.
+ * @param {object} web3 The Web3 instance.
+ * @returns {object} The chain guard API.
+ */
+function createChainGuard(config, eventBus, web3) {
+  const { chainId } = config
+
+  debug.enabled = config.debug
+
+  let mismatch = null
+  let pendingCheck = null
+  let verified = false
+
+  /**
+   * Check the chain of the node.
+   *
+   * @returns {Promise} Rejects with `ETH_WRONG_CHAIN` if the chain is wrong.
+   */
+  function check() {
+    if (pendingCheck) {
+      return pendingCheck
+    }
+
+    pendingCheck = checkChain(web3, chainId).then(
+      function () {
+        debug('Chain ID is correct')
+        pendingCheck = null
+        mismatch = null
+        verified = true
+        eventBus.emit('web3-chain-checked', { verified: true })
+      },
+      function (err) {
+        pendingCheck = null
+        verified = false
+        if (err.code === 'ETH_WRONG_CHAIN') {
+          debug('Chain ID mismatch: %s', err.meta.nodeChainId)
+          mismatch = err
+          eventBus.emit('web3-chain-checked', { verified: false })
+          eventBus.emit('chain-mismatch', {
+            chainId,
+            nodeChainId: err.meta.nodeChainId
+          })
+        }
+        throw err
+      }
+    )
+
+    return pendingCheck
+  }
+
+  /**
+   * Check the chain each time the provider connects.
+   */
+  function onConnect() {
+    check().catch(function (err) {
+      // Connection errors are already reported by the provider
+      if (err.code === 'ETH_WRONG_CHAIN') {
+        eventBus.emit('wallet-error', err)
+      } else {
+        debug('Could not check the chain: %s', err.message)
+      }
+    })
+  }
+
+  /**
+   * Forget the chain was verified when switching nodes. The new node is
+   * checked when it connects or on the next guarded call.
+   */
+  function onProviderChanged() {
+    verified = false
+  }
+
+  web3.currentProvider.on('connect', onConnect)
+  eventBus.on('web3-provider-changed', onProviderChanged)
+
+  /**
+   * Wait for the pending check, or check the chain if not verified yet.
+   *
+   * @returns {Promise} Rejects if the chain is wrong or could not be verified.
+   */
+  const whenVerified = () =>
+    (pendingCheck || (verified || mismatch ? Promise.resolve() : check()))
+      .catch(noop)
+      .then(function () {
+        if (mismatch) {
+          throw mismatch
+        }
+        if (!verified) {
+          throw new WalletError(
+            'ETH_CHAIN_UNVERIFIED',
+            'Could not verify the chain of the node',
+            { meta: { chainId, plugin: 'eth' } }
+          )
+        }
+      })
+
+  /**
+   * Wrap a function that sends transactions so it runs only once the chain of
+   * the node is verified and rejects while it does not match.
+   *
+   * @param {Function} fn The function to guard.
+   * @returns {Function} The guarded function.
+   */
+  const guard =
+    fn =>
+    (...args) =>
+      whenVerified().then(() => fn(...args))
+
+  /**
+   * Stop checking the chain.
+   */
+  function stop() {
+    web3.currentProvider.removeListener('connect', onConnect)
+    eventBus.removeListener('web3-provider-changed', onProviderChanged)
+  }
+
+  return {
+    check,
+    guard,
+    stop
+  }
+}
+
+module.exports = createChainGuard
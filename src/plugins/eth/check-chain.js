@@ -1,9 +1,16 @@
 'use strict'
 
+const { WalletError } = require('../../errors')
+
 const checkChain = (web3, chainId) =>
-  web3.eth.getChainId()
-    .then(id =>
-      id === chainId || Promise.reject(new Error('Wrong chain'))
-    )
+  web3.eth.getChainId().then(
+    id =>
+      id === chainId ||
+      Promise.reject(
+        new WalletError('ETH_WRONG_CHAIN', 'Wrong chain', {
+          meta: { chainId, nodeChainId: id, plugin: 'eth' }
+        })
+      )
+  )
 
 module.exports = checkChain
@@ -1,48 +1,182 @@
 'use strict'
 
+const { isEqual } = require('lodash')
 const debug = require('debug')('met-wallet:core:eth')
 
-const { createWeb3, destroyWeb3 } = require('./web3')
-const checkChain = require('./check-chain')
+const { WalletError } = require('../../errors')
+const { createWeb3 } = require('./web3')
+const createChainGuard = require('./chain-guard')
+const createMetrics = require('../../metrics')
+const createNodeStatus = require('./node-status')
+const createNodes = require('./nodes')
 
-function createPlugin () {
+const isNodeUrl = url =>
+  typeof url === 'string' &&
+  (!/^[a-z]+:\/\//i.test(url) || /^(https?|wss?):\/\//i.test(url))
+
+const configSchema = {
+  nodeBackoffMs: { type: 'integer', min: 1 },
+  nodeMaxBlockAgeMs: { type: 'integer', min: 1 },
+  nodeMaxLag: { type: 'integer', min: 0 },
+  nodeProbeIntervalMs: { type: 'integer', min: 1 },
+  nodeRequestsPerSecond: { type: 'integer', min: 0, optional: true },
+  nodeStatusIntervalMs: { type: 'integer', min: 1 },
+  nodes: {
+    check: nodes =>
+      nodes.length && nodes.every(isNodeUrl)
+        ? undefined
+        : 'must be a list of HTTP or WebSocket URLs or IPC socket paths',
+    optional: true,
+    runtime: true,
+    type: 'array'
+  },
+  web3Timeout: { type: 'integer', min: 0, runtime: true },
+  wsApiUrl: {
+    check: url =>
+      isNodeUrl(url)
+        ? undefined
+        : 'must be an HTTP or WebSocket URL or the path to an IPC socket',
+    runtime: true,
+    type: 'string'
+  }
+}
+
+const nodeKeys = ['nodes', 'web3Timeout', 'wsApiUrl']
+
+/**
+ * Create a plugin instance.
+ *
+ * @returns {object} The plugin instance: `name`, `start`, `reconfigure` and
+ *   `stop`.
+ */
+function createPlugin() {
+  let bus
+  let chainGuard = null
+  let createNodeProvider
+  let nodeStatus = null
+  let nodes = null
   let web3 = null
 
-  function start ({ config, eventBus }) {
+  /**
+   * Check the chain of the node. Only a wrong chain rejects, as the chain is
+   * checked again on connect and the failover moves to another node if this
+   * one is not reachable.
+   *
+   * @param {number} chainId The chain ID.
+   * @returns {Promise} Rejects with `ETH_WRONG_CHAIN` if the chain is wrong.
+   */
+  const checkChain = chainId =>
+    chainGuard.check().catch(function (err) {
+      if (err.code === 'ETH_WRONG_CHAIN') {
+        throw err
+      }
+      bus.emit(
+        'wallet-error',
+        new WalletError(
+          'ETH_CHAIN_UNVERIFIED',
+          'Could not verify the chain of the node',
+          { inner: err, meta: { chainId, plugin: 'eth' } }
+        )
+      )
+    })
+
+  /**
+   * Start the plugin.
+   *
+   * @param {object} params The start parameters.
+   * @param {object} params.config The configuration options.
+   * @param {object} params.eventBus The cross-plugin event emitter.
+   * @param {object} [params.metrics] The metrics recorder.
+   * @param {Function} [params.createProvider] Creates the provider of each
+   *   node. Defaults to an HTTP, WebSocket or IPC provider by the node URL.
+   * @returns {{api:object,events:string[],ready:Promise}} The plugin API,
+   *   events and readiness promise.
+   */
+  function start({
+    config,
+    createProvider,
+    eventBus,
+    metrics = createMetrics()
+  }) {
     debug.enabled = config.debug
 
-    web3 = createWeb3(config, eventBus)
+    bus = eventBus
+    createNodeProvider = createProvider
+    web3 = createWeb3(config, eventBus, metrics)
+    chainGuard = createChainGuard(config, eventBus, web3)
+    nodes = createNodes(
+      config,
+      eventBus,
+      web3.currentProvider,
+      createNodeProvider
+    )
+    nodeStatus = createNodeStatus(config, eventBus, web3)
 
-    checkChain(web3, config.chainId)
-      .then(function () {
-        debug('Chain ID is correct')
-      })
-      .catch(function (err) {
-        eventBus.emit('wallet-error', {
-          inner: err,
-          message: 'Could not check chain ID',
-          meta: { plugin: 'eth' }
-        })
-      })
+    const chainChecked = checkChain(config.chainId)
 
     return {
       api: {
+        getNodeStatus: nodeStatus.getStatus,
+        getNodes: () => nodes.getStatus(),
+        guardChain: chainGuard.guard,
         web3Provider: web3.currentProvider
       },
       events: [
+        'chain-mismatch',
+        'node-status-changed',
         'wallet-error',
-        'web3-connection-status-changed'
+        'web3-chain-checked',
+        'web3-connection-status-changed',
+        'web3-provider-changed'
       ],
-      name: 'eth'
+      ready: chainChecked
     }
   }
 
-  function stop () {
-    destroyWeb3(web3)
+  /**
+   * Connect to a new node if the node config changed.
+   *
+   * @param {object} params The reconfiguration parameters.
+   * @param {object} params.config The new config.
+   * @param {object} params.previousConfig The config being replaced.
+   * @returns {Promise} Resolves when the chain ID of the new node is checked
+   *   and rejects if it is wrong.
+   */
+  function reconfigure({ config, previousConfig }) {
+    if (nodeKeys.every(key => isEqual(config[key], previousConfig[key]))) {
+      return Promise.resolve()
+    }
+
+    debug('Reconnecting to the new nodes')
+
+    nodes.stop()
+    nodes = createNodes(config, bus, web3.currentProvider, createNodeProvider)
+
+    const { url } = nodes.getStatus().find(node => node.active)
+    bus.emit('web3-provider-changed', { reason: 'config', wsApiUrl: url })
+
+    return checkChain(config.chainId)
+  }
+
+  /**
+   * Stop checking the chain and the nodes.
+   */
+  function stop() {
+    chainGuard.stop()
+    chainGuard = null
+    nodeStatus.stop()
+    nodeStatus = null
+    nodes.stop()
+    nodes = null
     web3 = null
   }
 
   return {
+    configSchema,
+    dependencies: [],
+    name: 'eth',
+    perChain: true,
+    reconfigure,
     start,
     stop
   }
@@ -0,0 +1,99 @@
+'use strict'
+
+const { isEqual } = require('lodash')
+const debug = require('debug')('met-wallet:core:eth:node-status')
+
+/**
+ * Monitor if the node is syncing, its peers and the age of its latest block.
+ * The node is polled every `nodeStatusIntervalMs` and `node-status-changed` is
+ * emitted when the status changes.
+ *
+ * The node is stale if its latest block is older than `nodeMaxBlockAgeMs`.
+ *
+ * @param {object} config The config.
+ * @param {object} eventBus The cross-plugin event bus.
+ * @param {object} web3 The Web3 instance.
+ * @returns {object} The node status API.
+ */
+function createNodeStatus(config, eventBus, web3) {
+  const { nodeMaxBlockAgeMs, nodeStatusIntervalMs } = config
+
+  debug.enabled = config.debug
+
+  let status = null
+
+  // Not all nodes expose the peer count
+  const getPeerCount = () =>
+    web3.eth.net.getPeerCount().catch(function (err) {
+      debug('Could not get the peer count: %s', err.message)
+      return null
+    })
+
+  /**
+   * Get the sync state, peers and best block of the node and emit the status
+   * if changed.
+   *
+   * @returns {Promise} Resolves when checked, even if the node failed.
+   */
+  const check = () =>
+    Promise.all([
+      web3.eth.isSyncing(),
+      getPeerCount(),
+      web3.eth.getBlock('latest')
+    ])
+      .then(function ([syncing, peerCount, block]) {
+        const newStatus = {
+          blockNumber: block.number,
+          blockTimestamp: block.timestamp,
+          highestBlock: syncing ? syncing.highestBlock : block.number,
+          peerCount,
+          progress: syncing
+            ? (syncing.currentBlock - syncing.startingBlock) /
+              Math.max(syncing.highestBlock - syncing.startingBlock, 1)
+            : 1,
+          stale: Date.now() - block.timestamp * 1000 > nodeMaxBlockAgeMs,
+          syncing: !!syncing
+        }
+
+        if (!isEqual(newStatus, status)) {
+          debug(
+            'Node status changed: syncing %s, stale %s',
+            newStatus.syncing,
+            newStatus.stale
+          )
+          status = newStatus
+          eventBus.emit('node-status-changed', status)
+        }
+      })
+      .catch(function (err) {
+        debug('Could not get the node status: %s', err.message)
+      })
+
+  check()
+  const interval = setInterval(check, nodeStatusIntervalMs)
+
+  // The new node may be in a different state
+  eventBus.on('web3-provider-changed', check)
+
+  /**
+   * Get the last known status of the node.
+   *
+   * @returns {object} The status or `null` if not known yet.
+   */
+  const getStatus = () => status
+
+  /**
+   * Stop checking the node.
+   */
+  function stop() {
+    clearInterval(interval)
+    eventBus.removeListener('web3-provider-changed', check)
+  }
+
+  return {
+    getStatus,
+    stop
+  }
+}
+
+module.exports = createNodeStatus
@@ -0,0 +1,216 @@
+'use strict'
+
+const { max, sortBy } = require('lodash')
+const {
+  utils: { hexToNumber }
+} = require('web3')
+const debug = require('debug')('met-wallet:core:eth:nodes')
+
+const { createProvider } = require('./web3')
+
+let requestId = 0
+
+/**
+ * Send a request without params to a node.
+ *
+ * @param {object} provider The node provider.
+ * @param {string} method The RPC method, e.g. `eth_blockNumber`.
+ * @returns {Promise<number>} The numeric result.
+ */
+const request = (provider, method) =>
+  new Promise(function (resolve, reject) {
+    requestId += 1
+    const payload = { id: requestId, jsonrpc: '2.0', method, params: [] }
+    provider.send(payload, function (err, response) {
+      if (err || response.error) {
+        reject(err || new Error(response.error.message))
+        return
+      }
+      resolve(hexToNumber(response.result))
+    })
+  })
+
+/**
+ * Route the requests of the proxy provider to the healthiest of the configured
+ * nodes. The first node is used until it fails, falls behind the other nodes
+ * more than `nodeMaxLag` blocks or is found to be in a different chain.
+ *
+ * When there are several nodes, all are probed every `nodeProbeIntervalMs` to
+ * get their latency, best block and chain ID.
+ *
+ * @param {object} config The config.
+ * @param {object} eventBus The cross-plugin event bus.
+ * @param {object} proxy The proxy provider.
+ * @param {Function} [createNodeProvider] Creates the provider of each node.
+ * @returns {object} The nodes API.
+ */
+function createNodes(
+  config,
+  eventBus,
+  proxy,
+  createNodeProvider = createProvider
+) {
+  const { chainId, nodeMaxLag, nodeProbeIntervalMs, web3Timeout } = config
+
+  debug.enabled = config.debug
+
+  const endpoints = (config.nodes || [config.wsApiUrl]).map(url => ({
+    blockNumber: null,
+    chainId: null,
+    failed: false,
+    latencyMs: null,
+    provider: createNodeProvider({ chainId, web3Timeout, wsApiUrl: url }),
+    url
+  }))
+
+  let active = endpoints[0]
+  let interval = null
+  let stopped = false
+
+  proxy.setProvider(active.provider)
+
+  /**
+   * Check if a node is healthy. Nodes not probed yet are considered healthy.
+   *
+   * @param {object} endpoint The node.
+   * @param {number} bestBlock The best block of all the nodes.
+   * @returns {boolean} `true` if healthy.
+   */
+  function isHealthy(endpoint, bestBlock) {
+    const { blockNumber } = endpoint
+    return (
+      !endpoint.failed &&
+      (endpoint.chainId === null || endpoint.chainId === chainId) &&
+      (blockNumber === null || bestBlock - blockNumber <= nodeMaxLag)
+    )
+  }
+
+  /**
+   * Switch to the fastest healthy node, if any.
+   *
+   * @param {string} reason The reason, i.e. `error`, `lag` or `wrong-chain`.
+   */
+  function failover(reason) {
+    const bestBlock = max(endpoints.map(e => e.blockNumber))
+    const candidates = endpoints.filter(
+      e => e !== active && isHealthy(e, bestBlock)
+    )
+
+    // Prefer the fastest nodes among the ones already probed
+    const [next] = sortBy(candidates, e =>
+      e.latencyMs === null ? Infinity : e.latencyMs
+    )
+
+    if (!next) {
+      debug('No healthy node to fail over to')
+      return
+    }
+
+    debug('Switching to node %s on %s', next.url, reason)
+    active = next
+    proxy.setProvider(next.provider)
+    eventBus.emit('web3-provider-changed', { reason, wsApiUrl: next.url })
+  }
+
+  /**
+   * Get the best block, chain ID and latency of a node.
+   *
+   * @param {object} endpoint The node.
+   * @returns {Promise} Resolves when probed, even if the node failed.
+   */
+  function probe(endpoint) {
+    const startTime = Date.now()
+    return Promise.all([
+      request(endpoint.provider, 'eth_blockNumber'),
+      endpoint.chainId || request(endpoint.provider, 'eth_chainId')
+    ])
+      .then(function ([blockNumber, id]) {
+        endpoint.blockNumber = blockNumber
+        endpoint.chainId = id
+        endpoint.failed = false
+        endpoint.latencyMs = Date.now() - startTime
+      })
+      .catch(function (err) {
+        debug('Node %s probe failed: %s', endpoint.url, err.message)
+        endpoint.failed = true
+        endpoint.latencyMs = null
+      })
+  }
+
+  /**
+   * Probe all the nodes and fail over if the active one is not healthy.
+   *
+   * @returns {Promise} Resolves when probed.
+   */
+  const probeAll = () =>
+    Promise.all(endpoints.map(probe)).then(function () {
+      if (stopped) {
+        return
+      }
+
+      const bestBlock = max(endpoints.map(e => e.blockNumber))
+      if (active.chainId !== null && active.chainId !== chainId) {
+        failover('wrong-chain')
+      } else if (active.failed) {
+        failover('error')
+      } else if (!isHealthy(active, bestBlock)) {
+        failover('lag')
+      }
+    })
+
+  /**
+   * Fail over when the active node errors or closes the connection.
+   */
+  function onActiveError() {
+    if (stopped || endpoints.length < 2) {
+      return
+    }
+    active.failed = true
+    failover('error')
+  }
+
+  proxy.on('close', onActiveError)
+  proxy.on('error', onActiveError)
+
+  if (endpoints.length > 1) {
+    probeAll()
+    interval = setInterval(probeAll, nodeProbeIntervalMs)
+  }
+
+  /**
+   * Get the status of each node.
+   *
+   * @returns {object[]} The nodes status.
+   */
+  const getStatus = () =>
+    endpoints.map(endpoint => ({
+      active: endpoint === active,
+      blockNumber: endpoint.blockNumber,
+      chainId: endpoint.chainId,
+      failed: endpoint.failed,
+      latencyMs: endpoint.latencyMs,
+      url: endpoint.url
+    }))
+
+  /**
+   * Stop probing and disconnect from all the nodes.
+   */
+  function stop() {
+    stopped = true
+    clearInterval(interval)
+    proxy.removeListener('close', onActiveError)
+    proxy.removeListener('error', onActiveError)
+    endpoints.forEach(function ({ provider }) {
+      if (provider.disconnect) {
+        provider.disconnect()
+      }
+    })
+  }
+
+  return {
+    getStatus,
+    stop
+  }
+}
+
+module.exports = createNodes
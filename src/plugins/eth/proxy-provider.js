@@ -0,0 +1,181 @@
+'use strict'
+
+const EventEmitter = require('events')
+
+const forwardedEvents = [
+  'close',
+  'connect',
+  'data',
+  'disconnect',
+  'error',
+  'reconnect'
+]
+
+/**
+ * Create a provider that forwards all requests and events to an underlying
+ * provider that can be swapped at any time.
+ *
+ * All Web3 instances created on top of this provider will keep working after
+ * the underlying provider is swapped. As the new provider emits `connect`, the
+ * active subscriptions are re-established by Web3.
+ *
+ * Providers that do not emit events, like the HTTP provider, get `connect` and
+ * `error` emitted as their requests succeed or fail.
+ *
+ * If a cache or a rate limiter are given, the requests are sent through these.
+ *
+ * @param {object} metrics The metrics recorder to time the requests.
+ * @param {object} [options] The options.
+ * @param {object} [options.cache] The cache of the requests.
+ * @param {object} [options.limiter] The rate limiter of the requests.
+ * @returns {object} The proxy provider.
+ */
+function createProxyProvider(metrics, { cache, limiter } = {}) {
+  const proxy = new EventEmitter()
+
+  let provider = null
+  let requestsFailing = null
+
+  const hasEvents = () => typeof provider.on === 'function'
+
+  const forwarders = {}
+  forwardedEvents.forEach(function (eventName) {
+    forwarders[eventName] = function (...args) {
+      proxy.emit(eventName, ...args)
+    }
+  })
+
+  /**
+   * Forward the events of the current provider.
+   */
+  function attach() {
+    if (!hasEvents()) {
+      return
+    }
+    forwardedEvents.forEach(function (eventName) {
+      provider.removeListener(eventName, forwarders[eventName])
+      provider.on(eventName, forwarders[eventName])
+    })
+  }
+
+  /**
+   * Stop forwarding the events of the current provider.
+   */
+  function detach() {
+    if (!hasEvents()) {
+      return
+    }
+    forwardedEvents.forEach(function (eventName) {
+      provider.removeListener(eventName, forwarders[eventName])
+    })
+  }
+
+  /**
+   * Swap the underlying provider.
+   *
+   * @param {object} newProvider The new provider.
+   * @returns {object} The previous provider, if any.
+   */
+  proxy.setProvider = function (newProvider) {
+    const previous = provider
+    if (previous) {
+      detach()
+    }
+    provider = newProvider
+    requestsFailing = null
+    attach()
+
+    if (cache) {
+      cache.clear()
+    }
+
+    // Web3 re-establishes the subscriptions when the provider connects so let
+    // it know if the new one is already connected
+    if (previous && provider.connected) {
+      setTimeout(function () {
+        if (provider === newProvider) {
+          proxy.emit('connect')
+        }
+      }, 0)
+    }
+
+    return previous
+  }
+
+  proxy.getProvider = () => provider
+
+  /**
+   * Emit the connection changes of a provider without connection events, as
+   * HTTP providers, from the result of its requests.
+   *
+   * @param {object} current The provider that handled the request.
+   * @param {Error} [err] The request error, if any.
+   */
+  function trackRequest(current, err) {
+    if (current !== provider || hasEvents() || requestsFailing === !!err) {
+      return
+    }
+    requestsFailing = !!err
+    if (err) {
+      proxy.emit('error', err)
+    } else {
+      proxy.emit('connect')
+    }
+  }
+
+  /**
+   * Send a request to the current provider and measure it.
+   *
+   * @param {object|object[]} payload The JSON-RPC request or batch.
+   * @param {Function} callback Called with the error or the response.
+   */
+  function sendToProvider(payload, callback) {
+    const method = Array.isArray(payload) ? 'batch' : payload.method
+    const end = metrics.start('rpc', method)
+    const current = provider
+    current.send(payload, function (err, response) {
+      end(err || (response && response.error))
+      trackRequest(current, err)
+      callback(err, response)
+    })
+  }
+
+  const sendLimited = limiter
+    ? (payload, callback) => limiter.send(payload, sendToProvider, callback)
+    : sendToProvider
+
+  proxy.send = function (payload, callback) {
+    if (cache) {
+      cache.send(payload, sendLimited, callback)
+    } else {
+      sendLimited(payload, callback)
+    }
+  }
+
+  // Providers not telling otherwise are expected to support subscriptions
+  proxy.supportsSubscriptions = () =>
+    !provider.supportsSubscriptions || provider.supportsSubscriptions()
+
+  proxy.reset = function () {
+    if (provider.reset) {
+      // Resetting a provider removes all its listeners
+      provider.reset()
+      attach()
+    }
+  }
+
+  proxy.disconnect = function (...args) {
+    if (provider.disconnect) {
+      provider.disconnect(...args)
+    }
+  }
+
+  Object.defineProperty(proxy, 'connected', {
+    enumerable: true,
+    get: () => !!provider && !!provider.connected
+  })
+
+  return proxy
+}
+
+module.exports = createProxyProvider
@@ -0,0 +1,170 @@
+'use strict'
+
+const debug = require('debug')('met-wallet:core:eth:rate-limiter')
+
+// Requests initiated by the user go ahead of the background ones, like the
+// status polling or the sync of past events
+const priorities = {
+  eth_estimateGas: 0,
+  eth_gasPrice: 0,
+  eth_getTransactionCount: 0,
+  eth_sendRawTransaction: 0,
+  eth_sendTransaction: 0,
+  eth_getLogs: 2
+}
+const defaultPriority = 1
+const lowestPriority = 2
+
+const maxBackoffMs = 30000
+const maxRetries = 5
+
+const rateLimitRegExp = /rate limit|too many requests|limit exceeded|429/i
+
+const isRateLimited = (err, response) =>
+  !!(err && rateLimitRegExp.test(err.message)) ||
+  !!(
+    response &&
+    response.error &&
+    ([-32005, 429].includes(response.error.code) ||
+      rateLimitRegExp.test(response.error.message))
+  )
+
+const getPriority = payload =>
+  Array.isArray(payload)
+    ? Math.min(...payload.map(getPriority))
+    : priorities[payload.method] === undefined
+    ? defaultPriority
+    : priorities[payload.method]
+
+/**
+ * Create a token bucket limiter of the requests sent to the node. Up to
+ * `nodeRequestsPerSecond` requests are sent per second and the rest are queued
+ * by priority: sending transactions and estimating gas go first and the past
+ * logs requests go last. If not set or `0`, requests are not limited.
+ *
+ * Requests rejected by the node for exceeding its rate limit are retried after
+ * an exponential backoff. No requests are sent meanwhile.
+ *
+ * @param {object} config The config.
+ * @returns {object} The limiter API.
+ */
+function createRateLimiter(config) {
+  const { nodeBackoffMs, nodeRequestsPerSecond } = config
+
+  debug.enabled = config.debug
+
+  const queues = []
+  for (let i = 0; i <= lowestPriority; i++) {
+    queues.push([])
+  }
+
+  let backoffUntil = 0
+  let backoffs = 0
+  let lastRefill = Date.now()
+  let timeout = null
+  let tokens = nodeRequestsPerSecond
+
+  /**
+   * Add the tokens earned since the last refill, up to a second worth.
+   */
+  function refill() {
+    const now = Date.now()
+    tokens = Math.min(
+      nodeRequestsPerSecond,
+      tokens + ((now - lastRefill) * nodeRequestsPerSecond) / 1000
+    )
+    lastRefill = now
+  }
+
+  const nextRequest = () => queues.map(queue => queue[0]).find(Boolean)
+
+  /**
+   * Send the queued requests while the limits allow it.
+   */
+  function dequeue() {
+    /**
+     * Try again after a delay.
+     *
+     * @param {number} delay The delay in ms.
+     */
+    function schedule(delay) {
+      if (!timeout) {
+        timeout = setTimeout(function () {
+          timeout = null
+          dequeue()
+        }, delay)
+      }
+    }
+
+    while (nextRequest()) {
+      const now = Date.now()
+      if (now < backoffUntil) {
+        schedule(backoffUntil - now)
+        return
+      }
+
+      if (nodeRequestsPerSecond) {
+        refill()
+        if (tokens < 1) {
+          schedule(Math.ceil(((1 - tokens) * 1000) / nodeRequestsPerSecond))
+          return
+        }
+        tokens -= 1
+      }
+
+      const request = queues.find(queue => queue.length).shift()
+      request.run()
+    }
+  }
+
+  /**
+   * Stop sending requests for a while, twice as long on each retry.
+   */
+  function backoff() {
+    const delay = Math.min(nodeBackoffMs * Math.pow(2, backoffs), maxBackoffMs)
+    debug('Rate limited by the node, backing off %sms', delay)
+    backoffs += 1
+    backoffUntil = Math.max(backoffUntil, Date.now() + delay)
+  }
+
+  /**
+   * Send a request when the limits allow it.
+   *
+   * @param {object} payload The JSON-RPC request.
+   * @param {Function} sendToNode Sends the request to the node.
+   * @param {Function} callback Called with the error or the response.
+   */
+  function send(payload, sendToNode, callback) {
+    const priority = getPriority(payload)
+    let retries = 0
+
+    const request = {
+      run() {
+        sendToNode(payload, function (err, response) {
+          if (isRateLimited(err, response) && retries < maxRetries) {
+            retries += 1
+            backoff()
+            // Retried requests go ahead of the ones of the same priority
+            queues[priority].unshift(request)
+            dequeue()
+            return
+          }
+
+          if (!err) {
+            backoffs = 0
+          }
+          callback(err, response)
+        })
+      }
+    }
+
+    queues[priority].push(request)
+    dequeue()
+  }
+
+  return {
+    send
+  }
+}
+
+module.exports = createRateLimiter
@@ -0,0 +1,106 @@
+'use strict'
+
+const { cloneDeep } = require('lodash')
+const debug = require('debug')('met-wallet:core:eth:rpc-cache')
+
+const cacheableMethods = [
+  'eth_call',
+  'eth_getBalance',
+  'eth_getTransactionReceipt'
+]
+
+/**
+ * Create a cache of the read-only JSON-RPC requests. Identical requests sent
+ * while one is in flight share its response and the responses are reused until
+ * a new block arrives or the node changes.
+ *
+ * @param {object} config The config.
+ * @returns {object} The cache API.
+ */
+function createRpcCache(config) {
+  debug.enabled = config.debug
+
+  let blockNumber = null
+  let generation = 0
+  let inFlight = new Map()
+  let responses = new Map()
+
+  // Each caller gets its own copy as Web3 formats the results in place
+  const withId = (response, id) => Object.assign(cloneDeep(response), { id })
+
+  /**
+   * Send a request through the cache.
+   *
+   * @param {object} payload The JSON-RPC request.
+   * @param {Function} sendToNode Sends the request to the node.
+   * @param {Function} callback Called with the error or the response.
+   */
+  function send(payload, sendToNode, callback) {
+    if (Array.isArray(payload) || !cacheableMethods.includes(payload.method)) {
+      sendToNode(payload, callback)
+      return
+    }
+
+    const key = `${payload.method}:${JSON.stringify(payload.params)}`
+
+    if (responses.has(key)) {
+      callback(null, withId(responses.get(key), payload.id))
+      return
+    }
+
+    if (inFlight.has(key)) {
+      inFlight.get(key).push({ callback, id: payload.id })
+      return
+    }
+
+    const requestGeneration = generation
+    const waiting = [{ callback, id: payload.id }]
+    inFlight.set(key, waiting)
+
+    sendToNode(payload, function (err, response) {
+      if (inFlight.get(key) === waiting) {
+        inFlight.delete(key)
+      }
+
+      // Responses of requests sent before a new block are stale
+      if (!err && !response.error && requestGeneration === generation) {
+        responses.set(key, response)
+      }
+
+      waiting.forEach(function ({ callback: cb, id }) {
+        cb(err, err ? response : withId(response, id))
+      })
+    })
+  }
+
+  /**
+   * Drop all the cached responses.
+   */
+  function clear() {
+    generation += 1
+    inFlight = new Map()
+    responses = new Map()
+  }
+
+  /**
+   * Drop the cached responses if the block changed.
+   *
+   * @param {number} number The new block number.
+   */
+  function setBlockNumber(number) {
+    if (number === blockNumber) {
+      return
+    }
+    debug('Clearing %s cached responses at block %s', responses.size, number)
+    blockNumber = number
+    clear()
+  }
+
+  return {
+    clear,
+    send,
+    setBlockNumber
+  }
+}
+
+module.exports = createRpcCache
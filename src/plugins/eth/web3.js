@@ -1,15 +1,59 @@
 'use strict'
 
 const debug = require('debug')('met-wallet:core:eth:web3')
+const net = require('net')
 const Web3 = require('web3')
 
-function createWeb3 (config, eventBus) {
+const createProxyProvider = require('./proxy-provider')
+const createRateLimiter = require('./rate-limiter')
+const createRpcCache = require('./rpc-cache')
+
+/**
+ * Create the provider that fits the node URL: HTTP or WebSocket URLs, or the
+ * path to an IPC socket.
+ *
+ * @param {object} config The config.
+ * @param {number} config.web3Timeout The request timeout in milliseconds.
+ * @param {string} config.wsApiUrl The node URL or IPC path.
+ * @returns {object} The provider.
+ */
+function createProvider({ web3Timeout, wsApiUrl }) {
+  if (/^https?:\/\//.test(wsApiUrl)) {
+    return new Web3.providers.HttpProvider(wsApiUrl, { timeout: web3Timeout })
+  }
+  if (/^wss?:\/\//.test(wsApiUrl)) {
+    return new Web3.providers.WebsocketProvider(wsApiUrl, {
+      reconnect: { auto: true },
+      timeout: web3Timeout
+    })
+  }
+  return new Web3.providers.IpcProvider(wsApiUrl, net)
+}
+
+/**
+ * Create a Web3 instance on top of a proxy provider. The underlying provider
+ * shall be set with `web3.currentProvider.setProvider()`.
+ *
+ * The read-only requests are cached until a new block arrives and all requests
+ * are rate limited.
+ *
+ * @param {object} config The config.
+ * @param {object} eventBus The cross-plugin event bus.
+ * @param {object} metrics The metrics recorder.
+ * @returns {object} The Web3 instance.
+ */
+function createWeb3(config, eventBus, metrics) {
   debug.enabled = config.debug
 
-  const web3 = new Web3(new Web3.providers.WebsocketProvider(
-    config.wsApiUrl,
-    { autoReconnect: true, timeout: config.web3Timeout }
-  ))
+  const cache = createRpcCache(config)
+  const limiter = createRateLimiter(config)
+  const provider = createProxyProvider(metrics, { cache, limiter })
+
+  eventBus.on('coin-block', function ({ number }) {
+    cache.setBlockNumber(number)
+  })
+
+  const web3 = new Web3(provider)
 
   web3.currentProvider.on('connect', function () {
     debug('Web3 provider connected')
@@ -27,11 +71,7 @@ function createWeb3 (config, eventBus) {
   return web3
 }
 
-function destroyWeb3 (web3) {
-  web3.currentProvider.disconnect()
-}
-
 module.exports = {
-  createWeb3,
-  destroyWeb3
+  createProvider,
+  createWeb3
 }
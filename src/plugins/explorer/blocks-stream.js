@@ -1,9 +1,78 @@
 'use strict'
 
-function createStream (web3) {
+const EventEmitter = require('events')
+
+const supportsSubscriptions = require('./supports-subscriptions')
+
+/**
+ * Create a stream of new blocks by polling the node. Used when the provider
+ * does not support subscriptions, e.g. HTTP providers.
+ *
+ * @param {object} web3 The Web3 instance.
+ * @param {number} interval The polling interval in ms.
+ * @returns {object} The stream.
+ */
+function createPollingStream(web3, interval) {
+  const stream = new EventEmitter()
+
+  let bestBlock = -1
+  let timeout = null
+  let stopped = false
+
+  /**
+   * Get the latest block if new and poll again after the interval.
+   */
+  function poll() {
+    // eslint-disable-next-line promise/catch-or-return
+    web3.eth
+      .getBlockNumber()
+      .then(function (number) {
+        if (number <= bestBlock) {
+          return null
+        }
+        return web3.eth.getBlock(number).then(function (block) {
+          bestBlock = number
+          stream.emit('data', block)
+        })
+      })
+      .catch(function (err) {
+        stream.emit('error', err)
+      })
+      .then(function () {
+        if (!stopped) {
+          timeout = setTimeout(poll, interval)
+        }
+      })
+  }
+
+  poll()
+
+  stream.destroy = function () {
+    stopped = true
+    clearTimeout(timeout)
+    stream.removeAllListeners()
+  }
+
+  return stream
+}
+
+/**
+ * Create a stream of new blocks. A subscription is used if the provider
+ * supports it or the node is polled otherwise.
+ *
+ * @param {object} web3 The Web3 instance.
+ * @param {number} interval The polling interval in ms.
+ * @returns {object} The stream. Call `destroy` to stop it.
+ */
+function createStream(web3, interval) {
+  if (!supportsSubscriptions(web3)) {
+    return createPollingStream(web3, interval)
+  }
+
   const subscription = web3.eth.subscribe('newBlockHeaders')
 
-  web3.eth.getBlock('latest')
+  web3.eth
+    .getBlock('latest')
     .then(function (block) {
       subscription.emit('data', block)
     })
@@ -7,10 +7,11 @@ const axios = require('axios').default
  * @param {string} address The address.
  * @param {number} [startblock] The starting block.
  * @param {number} [endblock] The ending block.
+ * @param {number} [limit] The maximum number of transactions to get.
  * @returns {Promise<string[]>} The list of transaction ids.
  */
-function getTransactions (address, startblock, endblock) {
-  return axios({
+const getTransactions = (address, startblock, endblock, limit) =>
+  axios({
     baseURL: 'https://blockscout.com/etc/mainnet/api',
     url: '/',
     params: {
@@ -19,7 +20,9 @@ function getTransactions (address, startblock, endblock) {
       address,
       sort: 'desc',
       startblock,
-      endblock
+      endblock,
+      offset: limit,
+      page: limit && 1
     }
   }).then(function ({ data }) {
     if (data.status !== '1' && data.message !== 'No transactions found') {
@@ -27,6 +30,5 @@ function getTransactions (address, startblock, endblock) {
     }
     return data.result.map(t => t.hash)
   })
-}
 
 module.exports = { getTransactions }
@@ -0,0 +1,160 @@
+'use strict'
+
+const debug = require('debug')('met-wallet:core:explorer:history')
+const { omit } = require('lodash')
+
+const { WalletError } = require('../../errors')
+
+/**
+ * Create an object to persist the synced transactions and the sync checkpoints
+ * of each address.
+ *
+ * The checkpoints hold the last block synced for the coin transactions and for
+ * each registered event, so syncing can resume from there after a restart.
+ *
+ * @param {object} config The configuration object.
+ * @param {object} eventBus The cross-plugin event bus.
+ * @param {object} storage The storage adapter.
+ * @returns {object} The history API.
+ */
+function createHistory(config, eventBus, storage) {
+  const { chainId } = config
+
+  debug.enabled = config.debug
+
+  const cache = {}
+  const pendingWrites = {}
+
+  const checkpointsKey = address => `${chainId}:checkpoints:${address}`
+  const transactionsKey = address => `${chainId}:transactions:${address}`
+
+  /**
+   * Load a value from the cache or, the first time, from the storage.
+   *
+   * @param {string} key The storage key.
+   * @param {*} defaultValue The value to use if nothing is stored.
+   * @returns {Promise<*>} The value.
+   */
+  function load(key, defaultValue) {
+    if (cache[key]) {
+      return Promise.resolve(cache[key])
+    }
+    return storage.get(key).then(function (value) {
+      cache[key] = cache[key] || value || defaultValue
+      return cache[key]
+    })
+  }
+
+  /**
+   * Write a cached value to the storage.
+   *
+   * Changes done while a write is pending are saved together, e.g. the
+   * checkpoints of all the events updated on each new block.
+   *
+   * @param {string} key The storage key.
+   * @returns {Promise} Resolves when written.
+   */
+  function write(key) {
+    if (!pendingWrites[key]) {
+      pendingWrites[key] = Promise.resolve().then(function () {
+        delete pendingWrites[key]
+        return storage.set(key, cache[key])
+      })
+    }
+    return pendingWrites[key]
+  }
+
+  /**
+   * Update a value and save it. Errors are emitted, not thrown.
+   *
+   * @param {string} key The storage key.
+   * @param {Function} update Gets the current value and returns the new one.
+   * @returns {Promise} Resolves when saved.
+   */
+  const save = (key, update) =>
+    load(key, {})
+      .then(function () {
+        // Read the cache again as it could have changed while loading
+        cache[key] = update(cache[key])
+        return write(key)
+      })
+      .catch(function (err) {
+        debug('Could not save %s: %s', key, err.message)
+        eventBus.emit(
+          'wallet-error',
+          new WalletError(
+            'STORAGE_FAILED',
+            'Could not save the transactions history',
+            { inner: err, meta: { key, plugin: 'explorer' } }
+          )
+        )
+      })
+
+  /**
+   * Get the sync checkpoints of an address.
+   *
+   * @param {string} address The address.
+   * @returns {Promise<object>} The last block synced by checkpoint key.
+   */
+  const getCheckpoints = address => load(checkpointsKey(address), {})
+
+  /**
+   * Save a sync checkpoint of an address.
+   *
+   * @param {string} address The address.
+   * @param {string} key The checkpoint key, i.e. `coin` or the event name.
+   * @param {number} blockNumber The last block synced.
+   * @returns {Promise} Resolves when saved.
+   */
+  function setCheckpoint(address, key, blockNumber) {
+    debug('Checkpoint %s %s at block %s', address, key, blockNumber)
+    return save(checkpointsKey(address), checkpoints =>
+      Object.assign({}, checkpoints, { [key]: blockNumber })
+    )
+  }
+
+  /**
+   * Get the transactions of an address, with their receipts and parsed metas.
+   *
+   * @param {string} address The address.
+   * @returns {Promise<object[]>} The transactions.
+   */
+  const getTransactions = address =>
+    load(transactionsKey(address), {}).then(Object.values)
+
+  /**
+   * Save transactions of an address. Transactions already saved are replaced.
+   *
+   * @param {string} address The address.
+   * @param {object[]} transactions The transactions to add.
+   * @returns {Promise} Resolves when saved.
+   */
+  const addTransactions = (address, transactions) =>
+    save(transactionsKey(address), function (saved) {
+      const updated = Object.assign({}, saved)
+      transactions.forEach(function (data) {
+        updated[data.transaction.hash] = data
+      })
+      return updated
+    })
+
+  /**
+   * Remove a saved transaction of an address, i.e. one already replaced.
+   *
+   * @param {string} address The address.
+   * @param {string} hash The transaction hash.
+   * @returns {Promise} Resolves when saved.
+   */
+  const removeTransaction = (address, hash) =>
+    save(transactionsKey(address), saved => omit(saved, hash))
+
+  return {
+    addTransactions,
+    getCheckpoints,
+    getTransactions,
+    removeTransaction,
+    setCheckpoint
+  }
+}
+
+module.exports = createHistory
@@ -3,7 +3,11 @@
 const debug = require('debug')('met-wallet:core:explorer')
 const Web3 = require('web3')
 
+const { WalletError } = require('../../errors')
+const { createMemoryStorage } = require('../../storage')
 const createEventsRegistry = require('./events')
+const createHistory = require('./history')
+const createMetrics = require('../../metrics')
 const createIndexer = require('./indexer')
 const createLogTransaction = require('./log-transaction')
 const createQueue = require('./queue')
@@ -12,20 +16,47 @@ const createTransactionSyncer = require('./sync-transactions')
 const refreshTransaction = require('./refresh-transactions')
 const tryParseEventLog = require('./parse-log')
 
-function createPlugin () {
+const configSchema = {
+  explorerDebounce: { type: 'integer', min: 0 },
+  indexerUrl: { type: 'url', protocols: ['http:', 'https:'], runtime: true },
+  pauseSyncWhileNodeSyncing: { type: 'boolean' },
+  pollingIntervalMs: { type: 'integer', min: 1 },
+  useNativeCookieJar: { type: 'boolean', runtime: true }
+}
+
+function createPlugin() {
   let blocksStream
   let indexer
   let syncer
 
-  function start ({ config, eventBus, plugins }) {
+  /**
+   * Start the plugin.
+   *
+   * @param {object} params The start parameters.
+   * @param {object} params.config The configuration options.
+   * @param {object} params.eventBus The cross-plugin event emitter.
+   * @param {object} [params.metrics] The metrics recorder.
+   * @param {object} params.plugins The APIs of the started plugins.
+   * @param {object} [params.storage] The storage adapter.
+   * @returns {{api:object,events:string[],name:string,ready:Promise}} The
+   *   plugin API, events, name and readiness promise.
+   */
+  function start({
+    config,
+    eventBus,
+    metrics = createMetrics(),
+    plugins,
+    storage = createMemoryStorage()
+  }) {
     debug.enabled = config.debug
 
     const web3 = new Web3(plugins.eth.web3Provider)
 
     const eventsRegistry = createEventsRegistry()
-    const queue = createQueue(config, eventBus, web3)
+    const history = createHistory(config, eventBus, storage)
+    const queue = createQueue(config, eventBus, web3, history)
 
-    indexer = createIndexer(config, eventBus)
+    indexer = createIndexer(config, eventBus, metrics)
 
     syncer = createTransactionSyncer(
       config,
@@ -33,26 +64,60 @@ function createPlugin () {
       web3,
       queue,
       eventsRegistry,
-      indexer
+      indexer,
+      history
     )
 
-    debug('Initiating blocks stream')
-    blocksStream = createStream(web3)
-    blocksStream.on('data', function ({ hash, number, timestamp }) {
-      debug('New block', hash, number)
-      eventBus.emit('coin-block', { hash, number, timestamp })
-    })
-    blocksStream.on('error', function (err) {
-      debug('Could not get latest block')
-      eventBus.emit('wallet-error', {
-        inner: err,
-        message: 'Could not get latest block',
-        meta: { plugin: 'explorer' }
+    /**
+     * Emit the new blocks of the current provider.
+     */
+    function startBlocksStream() {
+      debug('Initiating blocks stream')
+      blocksStream = createStream(web3, config.pollingIntervalMs)
+      blocksStream.on('data', function ({ hash, number, timestamp }) {
+        debug('New block', hash, number)
+        eventBus.emit('coin-block', { hash, number, timestamp })
+      })
+      blocksStream.on('error', function (err) {
+        debug('Could not get latest block')
+        eventBus.emit(
+          'wallet-error',
+          new WalletError(
+            'ETH_BLOCKS_UNAVAILABLE',
+            'Could not get latest block',
+            { inner: err, meta: { plugin: 'explorer' } }
+          )
+        )
       })
+    }
+
+    startBlocksStream()
+
+    // The new node may not support subscriptions or may do so when the old
+    // one did not. Events sent while switching nodes are resynced.
+    eventBus.on('web3-provider-changed', function () {
+      blocksStream.destroy()
+      startBlocksStream()
+      syncer.resubscribe()
+    })
+
+    // Blocks of a node that is catching up are not the chain's best blocks
+    eventBus.on('node-status-changed', function ({ stale, syncing }) {
+      if (!config.pauseSyncWhileNodeSyncing) {
+        return
+      }
+      if (syncing || stale) {
+        syncer.pause()
+      } else {
+        syncer.resume()
+      }
     })
 
     return {
       api: {
+        getIndexerBestBlock: indexer.getBestBlock,
+        getSyncStatus: syncer.getSyncStatus,
+        hasTransactions: indexer.hasTransactions,
         logTransaction: createLogTransaction(queue),
         refreshAllTransactions: syncer.refreshAllTransactions,
         refreshTransaction: refreshTransaction(web3, eventsRegistry, queue),
@@ -65,7 +130,25 @@ function createPlugin () {
         'indexer-connection-status-changed',
         'wallet-error'
       ],
-      name: 'explorer'
+      ready: Promise.all([indexer.ready, syncer.ready])
+    }
+  }
+
+  /**
+   * Connect to a new indexer if the indexer config changed.
+   *
+   * @param {object} params The reconfiguration parameters.
+   * @param {object} params.config The new config.
+   * @param {object} params.previousConfig The config being replaced.
+   */
+  function reconfigure({ config, previousConfig }) {
+    const { indexerUrl, useNativeCookieJar } = previousConfig
+
+    if (
+      config.indexerUrl !== indexerUrl ||
+      config.useNativeCookieJar !== useNativeCookieJar
+    ) {
+      indexer.reconnect(config)
     }
   }
 
@@ -76,6 +159,11 @@ function createPlugin () {
   }
 
   return {
+    configSchema,
+    dependencies: ['eth'],
+    name: 'explorer',
+    perChain: true,
+    reconfigure,
     start,
     stop
   }
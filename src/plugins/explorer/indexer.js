@@ -3,8 +3,9 @@
 const { CookieJar } = require('tough-cookie')
 const { create: createAxios } = require('axios')
 const { default: axiosCookieJarSupport } = require('axios-cookiejar-support')
-const { isArrayLike } = require('lodash')
+const { isArrayLike, noop } = require('lodash')
 const blockscout = require('./blockscout')
+const createMetrics = require('../../metrics')
 const debug = require('debug')('met-wallet:core:explorer:indexer')
 const EventEmitter = require('events')
 const io = require('socket.io-client')
@@ -15,67 +16,129 @@ const pRetry = require('p-retry')
  *
  * @param {object} config The configuration object.
  * @param {object} eventBus The corss-plugin event bus.
+ * @param {object} [metrics] The metrics recorder to time the indexer calls.
  * @returns {object} The exposed indexer API.
  */
-function createIndexer (config, eventBus) {
-  const { chainId, debug: enableDebug, indexerUrl, useNativeCookieJar } = config
+function createIndexer(config, eventBus, metrics = createMetrics()) {
+  const { chainId, debug: enableDebug } = config
 
   debug.enabled = enableDebug
 
   let axios
+  let getCookiePromise
+  let indexerUrl
   let jar
-  let socket
+  let useNativeCookieJar
 
-  if (useNativeCookieJar) {
-    axios = createAxios({
-      baseURL: indexerUrl
-    })
-  } else {
-    jar = new CookieJar()
-    axios = axiosCookieJarSupport(createAxios(({
-      baseURL: indexerUrl,
-      withCredentials: true
-    })))
-    axios.defaults.jar = jar
-  }
+  // Incremented on each (re)connection to discard pending work of older ones
+  let connection = 0
+
+  const streams = []
 
   const getBestBlock = () =>
-    axios('/blocks/best')
+    metrics
+      .time('indexer', '/blocks/best', () => axios('/blocks/best'))
       .then(res => res.data)
       .then(best =>
         best && best.number && best.hash
           ? best
-          : new Error('Indexer\' response is invalid for best block')
+          : new Error("Indexer' response is invalid for best block")
       )
 
-  const getTransactions = (from, to, address) =>
+  /**
+   * Get the transactions of an address in a range of blocks.
+   *
+   * @param {number} from The first block.
+   * @param {number} [to] The last block. Defaults to the best block.
+   * @param {string} address The address.
+   * @param {number} [limit] The maximum number of transactions to get.
+   * @returns {Promise<string[]|Error>} The transaction hashes or an error if
+   *   the indexer response is invalid.
+   */
+  const getTransactions = (from, to, address, limit) =>
     chainId === 61 // Ethereum Classic Mainnet chain ID
-      ? blockscout.getTransactions(address, from, to)
-      : axios(`/addresses/${address}/transactions`, { params: { from, to } })
-        .then(res => res.data)
-        .then(transactions =>
-          isArrayLike(transactions)
-            ? transactions
-            : new Error(`Indexer response is invalid for ${address}`)
+      ? metrics.time('indexer', 'blockscout', () =>
+          blockscout.getTransactions(address, from, to, limit)
         )
+      : metrics
+          .time('indexer', '/addresses/transactions', () =>
+            axios(`/addresses/${address}/transactions`, {
+              params: { from, limit, to }
+            })
+          )
+          .then(res => res.data)
+          .then(transactions =>
+            isArrayLike(transactions)
+              ? transactions
+              : new Error(`Indexer response is invalid for ${address}`)
+          )
 
-  const getCookiePromise = useNativeCookieJar
-    ? Promise.resolve()
-    : pRetry(
-      () =>
-        getBestBlock()
-          .then(function () {
-            debug('Got indexer cookie')
-          }),
-      {
-        forever: true,
-        maxTimeout: 5000,
-        onFailedAttempt (err) {
-          debug('Failed to get indexer cookie', err.message)
-        }
-      }
+  /**
+   * Check if the indexer knows any transaction of an address. Only one
+   * transaction is requested as any will do.
+   *
+   * @param {string} address The address.
+   * @returns {Promise<boolean>} Whether there are transactions.
+   */
+  const hasTransactions = address =>
+    getTransactions(0, undefined, address, 1).then(transactions =>
+      transactions instanceof Error
+        ? Promise.reject(transactions)
+        : transactions.length > 0
     )
 
+  /**
+   * Create the HTTP client of the indexer and start getting its cookie.
+   *
+   * @param {object} newConfig The config with the indexer options.
+   */
+  function connect(newConfig) {
+    indexerUrl = newConfig.indexerUrl
+    useNativeCookieJar = newConfig.useNativeCookieJar
+
+    connection += 1
+    const current = connection
+
+    if (useNativeCookieJar) {
+      jar = null
+      axios = createAxios({
+        baseURL: indexerUrl
+      })
+    } else {
+      jar = new CookieJar()
+      axios = axiosCookieJarSupport(
+        createAxios({
+          baseURL: indexerUrl,
+          withCredentials: true
+        })
+      )
+      axios.defaults.jar = jar
+    }
+
+    getCookiePromise = useNativeCookieJar
+      ? Promise.resolve()
+      : pRetry(
+          function () {
+            if (current !== connection) {
+              throw new pRetry.AbortError('Indexer connection closed')
+            }
+            return getBestBlock().then(function () {
+              debug('Got indexer cookie')
+            })
+          },
+          {
+            forever: true,
+            maxTimeout: 5000,
+            onFailedAttempt(err) {
+              debug('Failed to get indexer cookie', err.message)
+            }
+          }
+        )
+
+    // Retries are aborted on disconnection and no one may be waiting
+    getCookiePromise.catch(noop)
+  }
+
   const getSocket = () =>
     io(`${indexerUrl}/v1`, {
       autoConnect: false,
@@ -85,32 +148,34 @@ function createIndexer (config, eventBus) {
     })
 
   /**
-   * Create a stream that will emit an event each time a transaction for the
-   * specified address is indexed.
+   * Open the socket streaming the transactions of an address.
    *
-   * The stream will emit `data` for each transaction. If the connection is lost
-   * or an error occurs, an `error` event will be emitted. In addition, when the
-   * connection is restablished, a `resync` will be emitted.
-   *
-   * @param {string} address The address.
-   * @returns {object} The event emitter.
+   * @param {object} entry The address stream entry.
    */
-  function getTransactionStream (address) {
-    const stream = new EventEmitter()
+  function openSocket(entry) {
+    const { address, stream } = entry
+    const current = connection
 
     getCookiePromise
       .then(function () {
-        socket = getSocket()
+        if (current !== connection) {
+          return
+        }
+
+        const socket = getSocket()
+        entry.socket = socket
 
         socket.on('connect', function () {
           debug('Indexer connected')
           eventBus.emit('indexer-connection-status-changed', {
             connected: true
           })
+          const end = metrics.start('indexer-socket', 'subscribe')
           socket.emit(
             'subscribe',
             { type: 'txs', addresses: [address] },
             function (err) {
+              end(err)
               if (err) {
                 stream.emit('error', err)
               }
@@ -155,26 +220,75 @@ function createIndexer (config, eventBus) {
         socket.open()
       })
       .catch(function (err) {
-        stream.emit('error', err)
+        if (current === connection) {
+          stream.emit('error', err)
+        }
       })
+  }
 
-    return stream
+  /**
+   * Create a stream that will emit an event each time a transaction for the
+   * specified address is indexed.
+   *
+   * The stream will emit `data` for each transaction. If the connection is lost
+   * or an error occurs, an `error` event will be emitted. In addition, when the
+   * connection is restablished, a `resync` will be emitted.
+   *
+   * @param {string} address The address.
+   * @returns {object} The event emitter.
+   */
+  function getTransactionStream(address) {
+    const entry = { address, stream: new EventEmitter() }
+    streams.push(entry)
+
+    openSocket(entry)
+
+    return entry.stream
   }
 
   /**
    * Disconnects from the indexer.
    */
-  function disconnect () {
-    if (socket) {
-      socket.close()
-    }
+  function disconnect() {
+    connection += 1
+
+    streams.forEach(function (entry) {
+      if (entry.socket) {
+        entry.socket.off()
+        entry.socket.close()
+        entry.socket = null
+      }
+    })
   }
 
+  /**
+   * Connect to a new indexer. All transaction streams are re-opened and will
+   * emit `resync` so the transactions sent while reconnecting are not lost.
+   *
+   * @param {object} newConfig The new config.
+   */
+  function reconnect(newConfig) {
+    debug('Reconnecting to', newConfig.indexerUrl)
+
+    disconnect()
+    connect(newConfig)
+
+    streams.forEach(function (entry) {
+      openSocket(entry)
+      entry.stream.emit('resync')
+    })
+  }
+
+  connect(config)
+
   return {
     disconnect,
     getBestBlock,
     getTransactions,
-    getTransactionStream
+    getTransactionStream,
+    hasTransactions,
+    ready: getCookiePromise,
+    reconnect
   }
 }
 
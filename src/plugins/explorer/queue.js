@@ -5,7 +5,19 @@ const debug = require('debug')('met-wallet:core:explorer:queue')
 const getTransactionStatus = require('./transaction-status')
 const promiseAllProps = require('promise-all-props')
 
-function createQueue (config, eventBus, web3) {
+const { WalletError } = require('../../errors')
+
+/**
+ * Create a queue to merge the transactions and events of each address, parse
+ * their metadata and emit them to the wallet in batches.
+ *
+ * @param {object} config The configuration object.
+ * @param {object} eventBus The cross-plugin event bus.
+ * @param {object} web3 The Web3 instance.
+ * @param {object} history The transactions history.
+ * @returns {object} The queue API.
+ */
+function createQueue(config, eventBus, web3, history) {
   debug.enabled = config.debug
 
   const metasCache = {}
@@ -13,7 +25,7 @@ function createQueue (config, eventBus, web3) {
   let pendingEvents = []
   let walletId
 
-  function mergeEvents (hash, events) {
+  function mergeEvents(hash, events) {
     const metas = events.map(({ event, metaParser }) => metaParser(event))
 
     metas.unshift(metasCache[hash] || {})
@@ -25,33 +37,37 @@ function createQueue (config, eventBus, web3) {
 
   const mergeDones = events => events.map(event => event.done || noop)
 
-  function fillInStatus ({ transaction, receipt, meta }) {
+  function fillInStatus({ transaction, receipt, meta }) {
     if (receipt && meta) {
       meta.contractCallFailed = !getTransactionStatus(transaction, receipt)
     }
     return { transaction, receipt, meta }
   }
 
-  function emitTransactions (address, transactions) {
+  function emitTransactions(address, transactions) {
     if (!walletId) {
       throw new Error('Wallet ID not set')
     }
 
+    const filled = transactions
+      .filter(data => !!data.transaction)
+      .map(fillInStatus)
+
     eventBus.emit('wallet-state-changed', {
       [walletId]: {
         addresses: {
           [address]: {
-            transactions: transactions
-              .filter(data => !!data.transaction)
-              .map(fillInStatus)
+            transactions: filled
           }
         }
       }
     })
     eventBus.emit('coin-tx')
+
+    history.addTransactions(address, filled)
   }
 
-  function tryEmitTransactions (address, transactions) {
+  function tryEmitTransactions(address, transactions) {
     try {
       emitTransactions(address, transactions)
       return null
@@ -60,35 +76,42 @@ function createQueue (config, eventBus, web3) {
     }
   }
 
-  function emitPendingEvents (address) {
+  function emitPendingEvents(address) {
     debug('About to emit pending events')
 
     const eventsToEmit = pendingEvents.filter(e => e.address === address)
     const eventsToKeep = pendingEvents.filter(e => e.address !== address)
     pendingEvents = eventsToKeep
 
-    const grouped = (groupBy(eventsToEmit, 'event.transactionHash'))
+    const grouped = groupBy(eventsToEmit, 'event.transactionHash')
 
-    Promise.all(Object.keys(grouped).map(hash => promiseAllProps({
-      transaction: web3.eth.getTransaction(hash),
-      receipt: web3.eth.getTransactionReceipt(hash),
-      meta: mergeEvents(hash, grouped[hash]),
-      done: mergeDones(grouped[hash])
-    })))
+    Promise.all(
+      Object.keys(grouped).map(hash =>
+        promiseAllProps({
+          transaction: web3.eth.getTransaction(hash),
+          receipt: web3.eth.getTransactionReceipt(hash),
+          meta: mergeEvents(hash, grouped[hash]),
+          done: mergeDones(grouped[hash])
+        })
+      )
+    )
       .then(function (transactions) {
         const err = tryEmitTransactions(address, transactions)
-        return Promise.all(transactions.map(transaction =>
-          Promise.all(transaction.done.map(done =>
-            done(err)
-          ))
-        ))
+        return Promise.all(
+          transactions.map(transaction =>
+            Promise.all(transaction.done.map(done => done(err)))
+          )
+        )
       })
       .catch(function (err) {
-        eventBus.emit('wallet-error', {
-          inner: err,
-          message: 'Could not emit event transaction',
-          meta: { plugin: 'explorer' }
-        })
+        eventBus.emit(
+          'wallet-error',
+          new WalletError(
+            'TRANSACTION_EMIT_FAILED',
+            'Could not emit event transaction',
+            { inner: err, meta: { address, plugin: 'explorer' } }
+          )
+        )
         eventsToEmit.forEach(function (event) {
           event.done(err)
         })
@@ -100,7 +123,7 @@ function createQueue (config, eventBus, web3) {
     config.explorerDebounce
   )
 
-  const addTransaction = (address, meta) =>
+  const queueTransaction = (address, meta) =>
     function (hash) {
       debug('Queueing transaction', hash)
 
@@ -117,26 +140,77 @@ function createQueue (config, eventBus, web3) {
       })
     }
 
+  // A replacement, sent with the nonce of a pending transaction, has the hash
+  // of the original in `replaces` or `cancels`. Only the replacement carries
+  // these, so the state folds the original into it, and the original is
+  // dropped from the history. A speed up keeps the metas of the original too.
+  const addTransaction = (address, meta) =>
+    function (hash) {
+      const original = meta && (meta.replaces || meta.cancels)
+      if (!original) {
+        return queueTransaction(address, meta)(hash)
+      }
+
+      debug('Merging replacement', hash, original)
+
+      if (meta.replaces && metasCache[original]) {
+        metasCache[hash] = merge({}, metasCache[original], metasCache[hash])
+      }
+      delete metasCache[original]
+
+      const queued = queueTransaction(address, meta)(hash)
+      return queued.then(() => history.removeTransaction(address, original))
+    }
+
   eventBus.on('open-wallets', function ({ activeWallet }) {
     walletId = activeWallet
   })
 
-  const addEvent = (address, metaParser) => function (event) {
-    debug('Queueing event', event.event)
-    return new Promise(function (resolve, reject) {
-      pendingEvents.push({
-        address,
-        event,
-        done: err => err ? reject(err) : resolve(),
-        metaParser,
+  const addEvent = (address, metaParser) =>
+    function (event) {
+      debug('Queueing event', event.event)
+      return new Promise(function (resolve, reject) {
+        pendingEvents.push({
+          address,
+          event,
+          done: err => (err ? reject(err) : resolve()),
+          metaParser
+        })
+        debouncedEmitPendingEvents(address)
+      })
+    }
+
+  /**
+   * Emit the transactions of an address saved in the history and load their
+   * metas so these are merged with the ones of new events.
+   *
+   * @param {string} address The address.
+   * @returns {Promise} Resolves when the transactions are emitted.
+   */
+  const restore = address =>
+    history.getTransactions(address).then(function (transactions) {
+      debug(`${transactions.length} saved transactions restored`)
+      transactions.forEach(function ({ transaction, meta }) {
+        const { hash } = transaction
+        metasCache[hash] = merge({}, meta, metasCache[hash])
       })
-      debouncedEmitPendingEvents(address)
+      if (transactions.length && walletId) {
+        eventBus.emit('wallet-state-changed', {
+          [walletId]: {
+            addresses: {
+              [address]: {
+                transactions
+              }
+            }
+          }
+        })
+      }
     })
-  }
 
   return {
     addEvent,
-    addTransaction
+    addTransaction,
+    restore
   }
 }
 
@@ -0,0 +1,15 @@
+'use strict'
+
+/**
+ * Check if the provider of a Web3 instance can push notifications. Providers
+ * not telling otherwise are expected to support subscriptions.
+ *
+ * @param {object} web3 The Web3 instance.
+ * @returns {boolean} Whether subscriptions are supported.
+ */
+function supportsSubscriptions(web3) {
+  const provider = web3.currentProvider
+  return !provider.supportsSubscriptions || provider.supportsSubscriptions()
+}
+
+module.exports = supportsSubscriptions
@@ -7,11 +7,41 @@ const pWhilst = require('p-whilst')
 const pTimeout = require('p-timeout')
 const noop = require('lodash/noop')
 
+const { WalletError } = require('../../errors')
+const supportsSubscriptions = require('./supports-subscriptions')
+
+const getSyncKey = (eventName, contractAddress) =>
+  `${eventName}:${contractAddress}`
+
+/**
+ * Create the syncer of the transactions and events of the wallet addresses.
+ *
+ * Past transactions and events are synced from the indexer and the node, from
+ * the saved checkpoints, then new ones are received by subscription or polling.
+ *
+ * @param {object} config The configuration object.
+ * @param {object} eventBus The cross-plugin event bus.
+ * @param {object} web3 The Web3 instance.
+ * @param {object} queue The transactions queue.
+ * @param {object} eventsRegistry The registry of contract events to sync.
+ * @param {object} indexer The indexer client.
+ * @param {object} history The transactions history.
+ * @returns {object} The syncer API.
+ */
 // eslint-disable-next-line max-params
-function createSyncer (config, eventBus, web3, queue, eventsRegistry, indexer) {
+function createSyncer(
+  config,
+  eventBus,
+  web3,
+  queue,
+  eventsRegistry,
+  indexer,
+  history
+) {
   debug.enabled = config.debug
 
   let bestBlock
+  let paused = false
   const gotBestBlockPromise = new Promise(function (resolve) {
     eventBus.once('coin-block', function (header) {
       bestBlock = header.number
@@ -22,10 +52,64 @@ function createSyncer (config, eventBus, web3, queue, eventsRegistry, indexer) {
 
   const { getTransactions, getTransactionStream } = indexer
 
-  function subscribeCoinTransactions (fromBlock, address) {
-    let shallResync = false
-    let resyncing = false
-    let bestSyncBlock = fromBlock
+  // The sync state of each address transactions and events subscription
+  const syncStates = []
+
+  /**
+   * Create and track the sync state of an address subscription.
+   *
+   * @param {string} address The address.
+   * @param {number} fromBlock The first block to sync.
+   * @param {string} key The checkpoint key.
+   * @returns {object} The sync state.
+   */
+  function createSyncState(address, fromBlock, key) {
+    const state = {
+      address,
+      bestSyncBlock: fromBlock,
+      key,
+      polling: false,
+      resyncing: false,
+      shallResync: false,
+      synced: false
+    }
+    syncStates.push(state)
+    return state
+  }
+
+  /**
+   * Update the best block synced of a subscription.
+   *
+   * Checkpoints are saved only once the past transactions or events are synced
+   * as, until then, there could be gaps before the best sync block.
+   *
+   * @param {object} state The sync state.
+   * @param {number} number The block number.
+   */
+  function setBestSyncBlock(state, number) {
+    state.bestSyncBlock = number
+    if (state.synced) {
+      history.setCheckpoint(state.address, state.key, number)
+    }
+  }
+
+  /**
+   * Mark the subscriptions of an address as synced and save the checkpoints.
+   *
+   * @param {string} address The address.
+   * @param {string} key The checkpoint key.
+   */
+  function markSynced(address, key) {
+    syncStates
+      .filter(state => state.address === address && state.key === key)
+      .forEach(function (state) {
+        state.synced = true
+        setBestSyncBlock(state, state.bestSyncBlock)
+      })
+  }
+
+  function subscribeCoinTransactions(fromBlock, address) {
+    const state = createSyncState(address, fromBlock, 'coin')
 
     const { symbol, displayName } = config
 
@@ -33,45 +117,62 @@ function createSyncer (config, eventBus, web3, queue, eventsRegistry, indexer) {
       .on('data', queue.addTransaction(address))
       .on('resync', function () {
         debug(`Shall resync ${symbol} transactions on next block`)
-        shallResync = true
+        state.shallResync = true
       })
       .on('error', function (err) {
         debug(`Shall resync ${symbol} transactions on next block`)
-        shallResync = true
-        eventBus.emit('wallet-error', {
-          inner: err,
-          message: `Failed to sync ${displayName} transactions`,
-          meta: { plugin: 'explorer' }
-        })
+        state.shallResync = true
+        eventBus.emit(
+          'wallet-error',
+          new WalletError(
+            'INDEXER_DISCONNECTED',
+            `Failed to sync ${displayName} transactions`,
+            { inner: err, meta: { address, plugin: 'explorer' } }
+          )
+        )
       })
 
     // Check if shall resync when a new block is seen, as that is the
     // indication of proper reconnection to the Ethereum node.
     eventBus.on('coin-block', function ({ number }) {
-      if (shallResync && !resyncing) {
-        resyncing = true
-        shallResync = false
+      if (paused) {
+        return
+      }
+      if (state.shallResync && !state.resyncing) {
+        state.resyncing = true
+        state.shallResync = false
         // eslint-disable-next-line promise/catch-or-return
-        getTransactions(bestSyncBlock, number, address)
+        getTransactions(state.bestSyncBlock, number, address)
           .then(function (transactions) {
             const { length } = transactions
             debug(`${length} past ${symbol} transactions retrieved`)
             transactions.forEach(queue.addTransaction(address))
-            bestSyncBlock = number
+            setBestSyncBlock(state, number)
           })
           .catch(function (err) {
-            shallResync = true
-            eventBus.emit('wallet-error', {
-              inner: err,
-              message: 'Failed to resync transactions',
-              meta: { plugin: 'explorer' }
-            })
+            state.shallResync = true
+            eventBus.emit(
+              'wallet-error',
+              new WalletError(
+                'SYNC_TRANSACTIONS_FAILED',
+                'Failed to resync transactions',
+                {
+                  inner: err,
+                  meta: {
+                    address,
+                    fromBlock: state.bestSyncBlock,
+                    plugin: 'explorer',
+                    toBlock: number
+                  }
+                }
+              )
+            )
           })
           .then(function () {
-            resyncing = false
+            state.resyncing = false
           })
-      } else if (!resyncing) {
-        bestSyncBlock = number
+      } else if (!state.resyncing) {
+        setBestSyncBlock(state, number)
         bestBlock = number
       }
     })
@@ -143,7 +244,12 @@ function createSyncer (config, eventBus, web3, queue, eventsRegistry, indexer) {
       })
   }
 
-  const getPastEvents = (fromBlock, toBlock, address, onProgress) =>
+  const getPastEvents = (
+    fromBlock,
+    toBlock,
+    address,
+    { checkpoints = {}, onProgress = noop } = {}
+  ) =>
     pAll(
       eventsRegistry
         .getAll()
@@ -164,38 +270,40 @@ function createSyncer (config, eventBus, web3, queue, eventsRegistry, indexer) {
             debug(`Could not get past events for ${eventName}`)
             return null
           }
+          const key = getSyncKey(eventName, contractAddress)
+
           return () =>
             getPastEventsWithChunks({
               address,
               contract,
               eventName,
-              fromBlock,
+              fromBlock: Math.max(fromBlock, checkpoints[key] || 0),
               toBlock,
               filter,
               minBlock,
-              onProgress,
+              onProgress(syncedBlock) {
+                history.setCheckpoint(address, key, syncedBlock)
+                return onProgress(syncedBlock)
+              },
               metaParser
+            }).then(function () {
+              markSynced(address, key)
             })
         })
         .filter(identity),
       { concurrency: 3 }
     )
 
-  const subscriptions = []
-
-  function subscribeEvents (fromBlock, address) {
+  /**
+   * Sync the past registered events of an address and subscribe to new ones.
+   *
+   * @param {number} fromBlock The first block to sync.
+   * @param {string} address The address.
+   */
+  function subscribeEvents(fromBlock, address) {
     eventsRegistry.getAll().forEach(function (registration) {
-      let shallResync = false
-      let resyncing = false
-      let bestSyncBlock = fromBlock
-
-      const {
-        contractAddress,
-        abi,
-        eventName,
-        filter,
-        metaParser
-      } = registration(address)
+      const { contractAddress, abi, eventName, filter, metaParser } =
+        registration(address)
 
       const contract = new web3.eth.Contract(abi, contractAddress)
 
@@ -205,64 +313,130 @@ function createSyncer (config, eventBus, web3, queue, eventsRegistry, indexer) {
         return
       }
 
-      // Get past events and subscribe to incoming events
-      const emitter = contract.events[eventName]({ fromBlock, filter })
-        .on('data', queue.addEvent(address, metaParser))
-        .on('changed', queue.addEvent(address, metaParser))
-        .on('error', function (err) {
-          debug('Shall resync events on next block')
-          shallResync = true
-          eventBus.emit('wallet-error', {
-            inner: err,
-            message: `Subscription to event ${eventName} failed`,
-            meta: { plugin: 'explorer' }
-          })
+      const state = createSyncState(
+        address,
+        fromBlock,
+        getSyncKey(eventName, contractAddress)
+      )
+
+      /**
+       * Subscribe to the incoming events or, if the node does not support
+       * subscriptions, retrieve these on each block.
+       *
+       * @param {number} [subscribeFromBlock] The block to get past events from.
+       */
+      state.subscribe = function (subscribeFromBlock) {
+        state.polling = !supportsSubscriptions(web3)
+        if (state.polling) {
+          debug('Polling event', eventName)
+          return
+        }
+
+        state.subscription = contract.events[eventName]({
+          filter,
+          fromBlock: subscribeFromBlock
         })
-      subscriptions.push(emitter)
+          .on('data', queue.addEvent(address, metaParser))
+          .on('changed', queue.addEvent(address, metaParser))
+          .on('error', function (err) {
+            debug('Shall resync events on next block')
+            state.shallResync = true
+            eventBus.emit(
+              'wallet-error',
+              new WalletError(
+                'SYNC_EVENT_FAILED',
+                `Subscription to event ${eventName} failed`,
+                { inner: err, meta: { address, eventName, plugin: 'explorer' } }
+              )
+            )
+          })
+      }
+
+      // Get past events and subscribe to incoming events
+      state.subscribe(fromBlock)
 
       // Resync on new block or save it as best sync block
       eventBus.on('coin-block', function ({ number }) {
-        if (shallResync && !resyncing) {
-          resyncing = true
-          shallResync = false
+        if (paused) {
+          return
+        }
+        if ((state.shallResync || state.polling) && !state.resyncing) {
+          state.resyncing = true
+          state.shallResync = false
           // eslint-disable-next-line promise/catch-or-return
           getPastEventsWithChunks({
             address,
             contract,
             eventName,
-            fromBlock: bestSyncBlock,
+            fromBlock: state.bestSyncBlock,
             toBlock: number,
             filter,
             metaParser
           })
+            .then(function () {
+              setBestSyncBlock(state, number)
+            })
             .catch(function (err) {
-              shallResync = true
-              eventBus.emit('wallet-error', {
-                inner: err,
-                message: `Failed to resync event ${eventName}`,
-                meta: { plugin: 'explorer' }
-              })
+              state.shallResync = true
+              eventBus.emit(
+                'wallet-error',
+                new WalletError(
+                  'SYNC_EVENT_FAILED',
+                  `Failed to resync event ${eventName}`,
+                  {
+                    inner: err,
+                    meta: {
+                      address,
+                      eventName,
+                      fromBlock: state.bestSyncBlock,
+                      plugin: 'explorer',
+                      toBlock: number
+                    }
+                  }
+                )
+              )
             })
             .then(function () {
-              resyncing = false
+              state.resyncing = false
             })
-        } else if (!resyncing) {
-          bestSyncBlock = number
+        } else if (!state.resyncing) {
+          setBestSyncBlock(state, number)
           bestBlock = number
         }
       })
     })
   }
 
+  /**
+   * Sync the transactions of an address and subscribe to new ones. Syncing
+   * resumes from the checkpoints saved in the history, if any.
+   *
+   * @param {number} fromBlock The block to start syncing from.
+   * @param {string} address The address.
+   * @param {Function} [onProgress] Called with each synced block.
+   * @returns {Promise<number>} The best synced block.
+   */
   const syncTransactions = (fromBlock, address, onProgress) =>
     gotBestBlockPromise
-      .then(function () {
-        debug('Syncing', fromBlock, bestBlock)
+      .then(() =>
+        Promise.all([history.getCheckpoints(address), queue.restore(address)])
+      )
+      .then(function ([checkpoints]) {
+        const coinFromBlock = Math.max(fromBlock, checkpoints.coin || 0)
+        debug('Syncing', coinFromBlock, bestBlock)
         subscribeCoinTransactions(bestBlock, address)
         subscribeEvents(bestBlock, address)
         return Promise.all([
-          getPastCoinTransactions(fromBlock, bestBlock, address),
-          getPastEvents(fromBlock, bestBlock, address, onProgress)
+          getPastCoinTransactions(coinFromBlock, bestBlock, address).then(
+            function (syncedBlock) {
+              markSynced(address, 'coin')
+              return syncedBlock
+            }
+          ),
+          getPastEvents(fromBlock, bestBlock, address, {
+            checkpoints,
+            onProgress
+          })
         ])
       })
       .then(function ([syncedBlock]) {
@@ -271,32 +445,118 @@ function createSyncer (config, eventBus, web3, queue, eventsRegistry, indexer) {
       })
 
   const refreshAllTransactions = address =>
-    gotBestBlockPromise
-      .then(() =>
-        Promise.all([
-          getPastCoinTransactions(0, bestBlock, address),
-          getPastEvents(0, bestBlock, address, function (syncedBlock) { bestBlock = syncedBlock })
-        ])
-          .then(function ([syncedBlock]) {
+    gotBestBlockPromise.then(() =>
+      Promise.all([
+        getPastCoinTransactions(0, bestBlock, address),
+        getPastEvents(0, bestBlock, address, {
+          onProgress(syncedBlock) {
             bestBlock = syncedBlock
-            return syncedBlock
-          })
-      )
-
-  function stop () {
-    subscriptions.forEach(function (subscription) {
-      subscription.unsubscribe(function (err) {
-        if (err) {
-          debug('Could not unsubscribe from event', err.message)
-        }
+          }
+        })
+      ]).then(function ([syncedBlock]) {
+        bestBlock = syncedBlock
+        return syncedBlock
       })
+    )
+
+  /**
+   * Flag all subscriptions to be resynced on the next block, i.e. after
+   * connecting to a different node or indexer.
+   */
+  function resync() {
+    debug('Shall resync all subscriptions on next block')
+    syncStates.forEach(function (state) {
+      state.shallResync = true
     })
   }
 
+  /**
+   * Stop syncing on new blocks, i.e. while the node is catching up.
+   */
+  function pause() {
+    if (!paused) {
+      debug('Pausing sync')
+      paused = true
+    }
+  }
+
+  /**
+   * Resume syncing. All subscriptions are resynced on the next block.
+   */
+  function resume() {
+    if (paused) {
+      debug('Resuming sync')
+      paused = false
+      resync()
+    }
+  }
+
+  /**
+   * Get the sync state of each address and registration.
+   *
+   * @returns {object[]} The sync states.
+   */
+  const getSyncStatus = () =>
+    syncStates.map(state => ({
+      address: state.address,
+      bestSyncBlock: state.bestSyncBlock,
+      key: state.key,
+      lag: bestBlock - state.bestSyncBlock,
+      paused,
+      resyncing: state.shallResync || (state.resyncing && !state.polling),
+      synced: state.synced
+    }))
+
+  /**
+   * Cancel the event subscription of a sync state, if any.
+   *
+   * @param {object} state The sync state.
+   */
+  function unsubscribe(state) {
+    if (!state.subscription) {
+      return
+    }
+    state.subscription.unsubscribe(function (err) {
+      if (err) {
+        debug('Could not unsubscribe from event', err.message)
+      }
+    })
+    state.subscription = null
+  }
+
+  /**
+   * Subscribe again to the events through the current provider, switching
+   * between subscriptions and polling as the new node supports. The events
+   * sent while switching are resynced on the next block.
+   */
+  function resubscribe() {
+    debug('Resubscribing to events')
+    syncStates
+      .filter(state => state.subscribe)
+      .forEach(function (state) {
+        unsubscribe(state)
+        state.subscribe()
+      })
+    resync()
+  }
+
+  /**
+   * Cancel all the event subscriptions.
+   */
+  function stop() {
+    syncStates.forEach(unsubscribe)
+  }
+
   return {
     getPastCoinTransactions,
     getPastEvents,
+    getSyncStatus,
+    pause,
+    ready: gotBestBlockPromise,
     refreshAllTransactions,
+    resubscribe,
+    resume,
+    resync,
     stop,
     syncTransactions
   }
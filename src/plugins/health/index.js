@@ -0,0 +1,189 @@
+'use strict'
+
+const { isEqual } = require('lodash')
+const debug = require('debug')('met-wallet:core:health')
+
+/**
+ * Create the health plugin. It combines the state of the node and indexer
+ * connections, the rates and the transactions sync in a single status.
+ *
+ * @returns {object} The plugin.
+ */
+function createPlugin() {
+  let interval
+
+  /**
+   * Start the plugin.
+   *
+   * @param {object} params The start parameters.
+   * @param {object} params.config The configuration options.
+   * @param {object} params.eventBus The cross-plugin event emitter.
+   * @param {object} params.plugins The APIs of the started plugins.
+   * @returns {{api:object,events:string[]}} The plugin API and events.
+   */
+  function start({ config, eventBus, plugins }) {
+    debug.enabled = config.debug
+
+    const { eth, explorer } = plugins
+    const { ratesUpdateMs } = config
+
+    const node = {
+      chainVerified: null,
+      connected: !!eth.web3Provider.connected,
+      stale: null,
+      syncing: null
+    }
+    const indexer = { bestBlock: null, connected: null }
+    const rates = { error: false, lastUpdated: null }
+
+    let bestBlock = null
+    let lastStatus = null
+    let checkingIndexer = false
+
+    /**
+     * Check if all the parts are healthy.
+     *
+     * @param {boolean} ratesStale Whether the rates are stale.
+     * @param {object[]} sync The sync status of the addresses.
+     * @returns {boolean} `true` if healthy.
+     */
+    const isHealthy = (ratesStale, sync) =>
+      node.connected &&
+      node.chainVerified !== false &&
+      !node.syncing &&
+      !node.stale &&
+      indexer.connected !== false &&
+      !ratesStale &&
+      !sync.some(state => state.resyncing)
+
+    /**
+     * Get the health status of the chain.
+     *
+     * @returns {object} The status.
+     */
+    function getStatus() {
+      const sync = explorer.getSyncStatus()
+      const indexerLag =
+        bestBlock !== null && indexer.bestBlock !== null
+          ? bestBlock - indexer.bestBlock
+          : null
+      // Rates are not stale until the first rate is expected
+      const ratesStale =
+        rates.error ||
+        (!!rates.lastUpdated &&
+          Date.now() - rates.lastUpdated > 2 * ratesUpdateMs)
+
+      return {
+        bestBlock,
+        healthy: isHealthy(ratesStale, sync),
+        indexer: {
+          bestBlock: indexer.bestBlock,
+          connected: indexer.connected,
+          lag: indexerLag
+        },
+        node: Object.assign({}, node),
+        rates: {
+          lastUpdated: rates.lastUpdated,
+          stale: ratesStale
+        },
+        sync
+      }
+    }
+
+    /**
+     * Emit the status if it changed.
+     */
+    function update() {
+      const status = getStatus()
+      if (!isEqual(status, lastStatus)) {
+        lastStatus = status
+        debug('Health changed', status.healthy)
+        eventBus.emit('health-changed', status)
+      }
+    }
+
+    /**
+     * Update the indexer best block, one check at a time.
+     */
+    function checkIndexer() {
+      if (checkingIndexer) {
+        return
+      }
+      checkingIndexer = true
+      // eslint-disable-next-line promise/catch-or-return
+      explorer
+        .getIndexerBestBlock()
+        .then(function (best) {
+          indexer.bestBlock = best instanceof Error ? null : best.number
+        })
+        .catch(function () {
+          indexer.bestBlock = null
+        })
+        .then(function () {
+          checkingIndexer = false
+          update()
+        })
+    }
+
+    eventBus.on('web3-connection-status-changed', function ({ connected }) {
+      node.connected = connected
+      update()
+    })
+    eventBus.on('web3-chain-checked', function ({ verified }) {
+      node.chainVerified = verified
+      update()
+    })
+    eventBus.on('node-status-changed', function ({ stale, syncing }) {
+      node.stale = stale
+      node.syncing = syncing
+      update()
+    })
+    eventBus.on('indexer-connection-status-changed', function ({ connected }) {
+      indexer.connected = connected
+      update()
+    })
+    eventBus.on('coin-price-updated', function () {
+      rates.error = false
+      rates.lastUpdated = Date.now()
+      update()
+    })
+    eventBus.on('wallet-error', function (err) {
+      if (err.code === 'RATES_UNAVAILABLE') {
+        rates.error = true
+        update()
+      }
+    })
+    eventBus.on('coin-block', function ({ number }) {
+      bestBlock = number
+      update()
+      checkIndexer()
+    })
+
+    // Rates go stale without any event
+    interval = setInterval(update, ratesUpdateMs)
+
+    return {
+      api: {
+        getStatus
+      },
+      events: ['health-changed']
+    }
+  }
+
+  /**
+   * Stop updating the status.
+   */
+  function stop() {
+    clearInterval(interval)
+  }
+
+  return {
+    dependencies: ['eth', 'explorer'],
+    name: 'health',
+    perChain: true,
+    start,
+    stop
+  }
+}
+
+module.exports = createPlugin
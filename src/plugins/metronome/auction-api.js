@@ -2,24 +2,23 @@
 
 const MetronomeContracts = require('metronome-contracts')
 
-function addAccount (web3, privateKey) {
-  web3.eth.accounts.wallet.create(0)
-    .add(web3.eth.accounts.privateKeyToAccount(privateKey))
-}
-
-function buyMet (web3, chain, logTransaction, metaParsers) {
+/**
+ * Create a function to buy MET in the auction.
+ *
+ * @param {object} web3 The Web3 instance.
+ * @param {number} chain The chain ID.
+ * @param {Function} sendTransaction Signs and sends a transaction.
+ * @param {object} metaParsers The transaction meta parsers.
+ * @returns {Function} Buys with a signer or private key.
+ */
+function buyMet(web3, chain, sendTransaction, metaParsers) {
   const to = MetronomeContracts[chain].Auctions.address
-  return function (privateKey, { from, value, gas, gasPrice }) {
-    addAccount(web3, privateKey)
-    return web3.eth.getTransactionCount(from, 'pending')
-      .then(nonce =>
-        logTransaction(
-          web3.eth.sendTransaction({ from, to, value, gas, gasPrice, nonce }),
-          from,
-          metaParsers.auction({ returnValues: { refund: '0' } })
-        )
-      )
-  }
+  return (signer, { from, value, gas, gasPrice }) =>
+    sendTransaction(
+      signer,
+      { from, gas, gasPrice, to, value },
+      metaParsers.auction({ returnValues: { refund: '0' } })
+    )
 }
 
 function estimateAuctionGas (web3, chain) {
@@ -1,76 +1,100 @@
 'use strict'
 
 const MetronomeContracts = require('metronome-contracts')
-const { utils: { toBN } } = require('web3')
+const {
+  utils: { toBN }
+} = require('web3')
 
-function estimateCoinToMetGas (web3, chain) {
+function estimateCoinToMetGas(web3, chain) {
   const { AutonomousConverter } = new MetronomeContracts(web3, chain)
   return ({ from, value, minReturn = '1' }) =>
-    AutonomousConverter.methods.convertEthToMet(minReturn)
+    AutonomousConverter.methods
+      .convertEthToMet(minReturn)
       .estimateGas({ from, value })
 }
 
-function estimateMetToCoinGas (web3, chain) {
+function estimateMetToCoinGas(web3, chain) {
   const { AutonomousConverter } = new MetronomeContracts(web3, chain)
   return ({ from, value, minReturn = '1' }) =>
-    AutonomousConverter.methods.convertMetToEth(value, minReturn)
+    AutonomousConverter.methods
+      .convertMetToEth(value, minReturn)
       .estimateGas({ from })
 }
 
-function getCoinToMetEstimate (web3, chain) {
+function getCoinToMetEstimate(web3, chain) {
   const { AutonomousConverter } = new MetronomeContracts(web3, chain)
   return ({ value }) =>
-    AutonomousConverter.methods.getMetForEthResult(value).call()
+    AutonomousConverter.methods
+      .getMetForEthResult(value)
+      .call()
       .then(result => ({ result }))
 }
 
-function getMetToMetEstimate (web3, chain) {
+function getMetToMetEstimate(web3, chain) {
   const { AutonomousConverter } = new MetronomeContracts(web3, chain)
   return ({ value }) =>
-    AutonomousConverter.methods.getEthForMetResult(value).call()
+    AutonomousConverter.methods
+      .getEthForMetResult(value)
+      .call()
       .then(result => ({ result }))
 }
 
-function addAccount (web3, privateKey) {
-  web3.eth.accounts.wallet.create(0)
-    .add(web3.eth.accounts.privateKeyToAccount(privateKey))
-}
-
-function convertCoin (web3, chain, logTransaction, metaParsers) {
+/**
+ * Create a function to convert coins to MET.
+ *
+ * @param {object} web3 The Web3 instance.
+ * @param {number} chain The chain ID.
+ * @param {Function} sendTransaction Signs and sends a transaction.
+ * @param {object} metaParsers The transaction meta parsers.
+ * @returns {Function} Converts with a signer or private key.
+ */
+function convertCoin(web3, chain, sendTransaction, metaParsers) {
   const { AutonomousConverter } = new MetronomeContracts(web3, chain)
 
-  return function (privateKey, transactionObject) {
+  return function (signer, transactionObject) {
     const { gasPrice, gas, value, from, minReturn = 1 } = transactionObject
 
-    addAccount(web3, privateKey)
-
-    return web3.eth.getTransactionCount(from, 'pending')
-      .then(nonce =>
-        logTransaction(
-          AutonomousConverter.methods.convertEthToMet(minReturn)
-            .send({ from, gas, gasPrice, value, nonce }),
-          from,
-          metaParsers.converter({ event: 'ConvertEthToMet' })
-        )
-      )
+    return sendTransaction(
+      signer,
+      {
+        data: AutonomousConverter.methods
+          .convertEthToMet(minReturn)
+          .encodeABI(),
+        from,
+        gas,
+        gasPrice,
+        to: AutonomousConverter.options.address,
+        value
+      },
+      metaParsers.converter({ event: 'ConvertEthToMet' })
+    )
   }
 }
 
-function convertMet (web3, chain, logTransaction, metaParsers) {
+/**
+ * Create a function to convert MET to coins. The converter is approved to
+ * transfer the MET first, if needed.
+ *
+ * @param {object} web3 The Web3 instance.
+ * @param {number} chain The chain ID.
+ * @param {Function} sendTransaction Signs and sends a transaction.
+ * @param {object} metaParsers The transaction meta parsers.
+ * @returns {Function} Converts with a signer or private key.
+ */
+function convertMet(web3, chain, sendTransaction, metaParsers) {
   const { AutonomousConverter, METToken } = new MetronomeContracts(web3, chain)
 
   const converterAddress = AutonomousConverter.options.address
   const metTokenAddress = METToken.options.address
 
-  return function (privateKey, transactionObject) {
+  return function (signer, transactionObject) {
     const { gasPrice, gas, value, from, minReturn = 1 } = transactionObject
 
-    addAccount(web3, privateKey)
-
-    const approvalMeta = _value => metaParsers.approval({
-      address: metTokenAddress,
-      returnValues: { _owner: from, _spender: converterAddress, _value }
-    })
+    const approvalMeta = _value =>
+      metaParsers.approval({
+        address: metTokenAddress,
+        returnValues: { _owner: from, _spender: converterAddress, _value }
+      })
     const transferMeta = metaParsers.transfer({
       address: metTokenAddress,
       returnValues: { _from: from, _to: converterAddress, _value: value }
@@ -81,57 +105,39 @@ function convertMet (web3, chain, logTransaction, metaParsers) {
     })
     const conversionMeta = Object.assign(transferMeta, converterMeta)
 
-    return Promise.all([
-      METToken.methods.allowance(from, converterAddress).call(),
-      web3.eth.getTransactionCount(from, 'pending')
-    ])
-      .then(function ([remaining, nonce]) {
+    // The wallet nonce manager hands out the nonces in the order of the calls
+    const send = (method, to, meta) =>
+      sendTransaction(
+        signer,
+        { data: method.encodeABI(), from, gas, gasPrice, to },
+        meta
+      )
+    const approve = _value =>
+      send(
+        METToken.methods.approve(converterAddress, _value),
+        metTokenAddress,
+        approvalMeta(_value)
+      )
+    const convert = () =>
+      send(
+        AutonomousConverter.methods.convertMetToEth(value, minReturn),
+        converterAddress,
+        conversionMeta
+      )
+
+    return METToken.methods
+      .allowance(from, converterAddress)
+      .call()
+      .then(function (remaining) {
         if (toBN(remaining).gtn(0) && toBN(remaining).lt(toBN(value))) {
-          return Promise.all([
-            logTransaction(
-              METToken.methods.approve(converterAddress, 0)
-                .send({ from, gasPrice, gas, nonce }),
-              from,
-              approvalMeta('0')
-            ),
-            logTransaction(
-              METToken.methods.approve(converterAddress, value)
-                .send({ from, gasPrice, gas, nonce: nonce + 1 }),
-              from,
-              approvalMeta(value)
-            ),
-            logTransaction(
-              AutonomousConverter.methods.convertMetToEth(value, minReturn)
-                .send({ from, gasPrice, gas, nonce: nonce + 2 }),
-              from,
-              conversionMeta
-            )
-          ])
-            .then(([_, __, res]) => res) // eslint-disable-line no-unused-vars
+          return Promise.all([approve('0'), approve(value), convert()]).then(
+            ([, , res]) => res
+          )
         }
         if (toBN(remaining).eqn(0)) {
-          return Promise.all([
-            logTransaction(
-              METToken.methods.approve(converterAddress, value)
-                .send({ from, gasPrice, gas, nonce }),
-              from,
-              approvalMeta(value)
-            ),
-            logTransaction(
-              AutonomousConverter.methods.convertMetToEth(value, minReturn)
-                .send({ from, gasPrice, gas, nonce: nonce + 1 }),
-              from,
-              conversionMeta
-            )
-          ])
-            .then(([_, res]) => res) // eslint-disable-line no-unused-vars
+          return Promise.all([approve(value), convert()]).then(([, res]) => res)
         }
-        return logTransaction(
-          AutonomousConverter.methods.convertMetToEth(value, minReturn)
-            .send({ from, gasPrice, gas, nonce }),
-          from,
-          conversionMeta
-        )
+        return convert()
       })
   }
 }
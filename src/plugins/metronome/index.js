@@ -4,6 +4,7 @@ const debug = require('debug')('met-wallet:core:metronome')
 const MetronomeContracts = require('metronome-contracts')
 const Web3 = require('web3')
 
+const { WalletError, wrapApi } = require('../../errors')
 const {
   buyMet,
   estimateAuctionGas
@@ -36,10 +37,40 @@ const getConverterStatus = require('./converter-status')
 const porterEvents = require('./porter-events')
 const validatorEvents = require('./validator-events')
 
+const configSchema = {
+  chainId: {
+    check: chainId =>
+      MetronomeContracts[chainId]
+        ? undefined
+        : `has no Metronome contracts deployed on chain ${chainId}`
+  },
+  gasOverestimation: { type: 'number', min: 1 }
+}
+
+// The error code of the rejections of each API method
+const apiErrorCodes = {
+  buyMetronome: 'TRANSACTION_FAILED',
+  convertCoin: 'TRANSACTION_FAILED',
+  convertMet: 'TRANSACTION_FAILED',
+  estimateExportMetGas: 'GAS_ESTIMATION_FAILED',
+  estimateImportMetGas: 'GAS_ESTIMATION_FAILED',
+  exportMet: 'TRANSACTION_FAILED',
+  getAuctionGasLimit: 'GAS_ESTIMATION_FAILED',
+  getConvertCoinEstimate: 'CONTRACT_CALL_FAILED',
+  getConvertCoinGasLimit: 'GAS_ESTIMATION_FAILED',
+  getConvertMetEstimate: 'CONTRACT_CALL_FAILED',
+  getConvertMetGasLimit: 'GAS_ESTIMATION_FAILED',
+  getExportMetFee: 'CONTRACT_CALL_FAILED',
+  getMerkleRoot: 'CONTRACT_CALL_FAILED',
+  importMet: 'TRANSACTION_FAILED',
+  sendMet: 'TRANSACTION_FAILED'
+}
+
 /**
  * Creates an instance of the Metronome plugin.
  *
- * @returns {{start:Function,stop:Function}} The plugin top-level API.
+ * @returns {object} The plugin top-level API: `name`, `dependencies`, `start`
+ *   and `stop`.
  */
 function createPlugin () {
   /**
@@ -49,13 +80,13 @@ function createPlugin () {
    * @param {object} params.config The configuration options.
    * @param {object} params.eventBus The cross-plugin event emitter.
    * @param {object} params.plugins All other plugins.
-   * @returns {{api:object,events:string[],name:string}} The plugin API.
+   * @returns {{api:object,events:string[]}} The plugin API.
    */
   function start ({ config, eventBus, plugins }) {
     debug.enabled = config.debug
 
     const { chainId, gasOverestimation } = config
-    const { eth, explorer, tokens } = plugins
+    const { eth, explorer, tokens, wallet } = plugins
 
     const web3 = new Web3(eth.web3Provider)
 
@@ -78,30 +109,28 @@ function createPlugin () {
     // Start emitting MET status
     const emitMetronomeStatus = () =>
       Promise.all([
-        getAuctionStatus(web3, chainId)
-          .then(function (status) {
-            eventBus.emit('auction-status-updated', status)
-          }),
-        getConverterStatus(web3, chainId)
-          .then(function (status) {
-            eventBus.emit('converter-status-updated', status)
-          }),
-        getAttestationThreshold(web3, chainId)
-          .then(function (status) {
-            eventBus.emit('attestation-threshold-updated', status)
-          }),
-        getChainHopStartTime(web3, chainId)
-          .then(function (status) {
-            eventBus.emit('chain-hop-start-time-updated', status)
-          })
-      ])
-        .catch(function (err) {
-          eventBus.emit('wallet-error', {
-            inner: err,
-            message: 'Metronome status could not be retrieved',
-            meta: { plugin: 'metronome' }
-          })
+        getAuctionStatus(web3, chainId).then(function (status) {
+          eventBus.emit('auction-status-updated', status)
+        }),
+        getConverterStatus(web3, chainId).then(function (status) {
+          eventBus.emit('converter-status-updated', status)
+        }),
+        getAttestationThreshold(web3, chainId).then(function (status) {
+          eventBus.emit('attestation-threshold-updated', status)
+        }),
+        getChainHopStartTime(web3, chainId).then(function (status) {
+          eventBus.emit('chain-hop-start-time-updated', status)
         })
+      ]).catch(function (err) {
+        eventBus.emit(
+          'wallet-error',
+          new WalletError(
+            'METRONOME_STATUS_UNAVAILABLE',
+            'Metronome status could not be retrieved',
+            { inner: err, meta: { plugin: 'metronome' } }
+          )
+        )
+      })
 
     emitMetronomeStatus()
 
@@ -120,69 +149,53 @@ function createPlugin () {
     )
 
     // Define gas over-estimation wrapper
-    const over = fn =>
+    const over =
+      fn =>
       (...args) =>
-        fn(...args).then(gas =>
-          ({ gasLimit: Math.round(gas * gasOverestimation) })
-        )
+        fn(...args).then(gas => ({
+          gasLimit: Math.round(gas * gasOverestimation)
+        }))
 
     // Build and return API
+    const api = {
+      buyMetronome: eth.guardChain(
+        buyMet(web3, chainId, wallet.sendTransaction, metaParsers)
+      ),
+      convertCoin: eth.guardChain(
+        convertCoin(web3, chainId, wallet.sendTransaction, metaParsers)
+      ),
+      convertMet: eth.guardChain(
+        convertMet(web3, chainId, wallet.sendTransaction, metaParsers)
+      ),
+      getExportMetFee: getExportMetFee(web3, chainId),
+      getMerkleRoot: getMerkleRoot(web3, chainId),
+      estimateExportMetGas: over(estimateExportMetGas(web3, chainId)),
+      estimateImportMetGas: over(estimateImportMetGas(web3, chainId)),
+      exportMet: eth.guardChain(
+        exportMet(web3, chainId, wallet.sendTransaction, metaParsers)
+      ),
+      getAuctionGasLimit: over(estimateAuctionGas(web3, chainId)),
+      getConvertCoinEstimate: getCoinToMetEstimate(web3, chainId),
+      getConvertCoinGasLimit: over(estimateCoinToMetGas(web3, chainId)),
+      getConvertMetEstimate: getMetToMetEstimate(web3, chainId),
+      getConvertMetGasLimit: over(estimateMetToCoinGas(web3, chainId)),
+      importMet: eth.guardChain(
+        importMet(web3, chainId, wallet.sendTransaction, metaParsers)
+      ),
+      sendMet: eth.guardChain(
+        sendMet(web3, chainId, wallet.sendTransaction, metaParsers)
+      )
+    }
+
     return {
-      api: {
-        buyMetronome: buyMet(
-          web3,
-          chainId,
-          explorer.logTransaction,
-          metaParsers
-        ),
-        convertCoin: convertCoin(
-          web3,
-          chainId,
-          explorer.logTransaction,
-          metaParsers
-        ),
-        convertMet: convertMet(
-          web3,
-          chainId,
-          explorer.logTransaction,
-          metaParsers
-        ),
-        getExportMetFee: getExportMetFee(web3, chainId),
-        getMerkleRoot: getMerkleRoot(web3, chainId),
-        estimateExportMetGas: over(estimateExportMetGas(web3, chainId)),
-        estimateImportMetGas: over(estimateImportMetGas(web3, chainId)),
-        exportMet: exportMet(
-          web3,
-          chainId,
-          explorer.logTransaction,
-          metaParsers
-        ),
-        getAuctionGasLimit: over(estimateAuctionGas(web3, chainId)),
-        getConvertCoinEstimate: getCoinToMetEstimate(web3, chainId),
-        getConvertCoinGasLimit: over(estimateCoinToMetGas(web3, chainId)),
-        getConvertMetEstimate: getMetToMetEstimate(web3, chainId),
-        getConvertMetGasLimit: over(estimateMetToCoinGas(web3, chainId)),
-        importMet: importMet(
-          web3,
-          chainId,
-          explorer.logTransaction,
-          metaParsers
-        ),
-        sendMet: sendMet(
-          web3,
-          chainId,
-          explorer.logTransaction,
-          metaParsers
-        )
-      },
+      api: wrapApi(api, 'metronome', apiErrorCodes),
       events: [
         'attestation-threshold-updated',
         'auction-status-updated',
         'chain-hop-start-time-updated',
         'converter-status-updated',
         'wallet-error'
-      ],
-      name: 'metronome'
+      ]
     }
   }
 
@@ -192,6 +205,10 @@ function createPlugin () {
   function stop () {}
 
   return {
+    configSchema,
+    dependencies: ['eth', 'explorer', 'tokens', 'wallet'],
+    name: 'metronome',
+    perChain: true,
     start,
     stop
   }
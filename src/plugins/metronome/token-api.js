@@ -52,58 +52,72 @@ function estimateImportMetGas (web3, chain) {
       Auctions.methods.genesisTime().call(),
       Auctions.methods.dailyAuctionStartTime().call()
     ]).then(([genesisTime, dailyAuctionStartTime]) =>
-      METToken.methods.importMET(
-        toHex(originChain),
-        toHex(destinationChain),
-        [destinationMetAddress, from],
-        extraData,
-        [previousBurnHash, currentBurnHash],
-        supply,
-        [
-          blockTimestamp,
-          value,
-          fee,
-          currentTick,
-          genesisTime,
-          dailyMintable,
-          burnSequence,
-          dailyAuctionStartTime
-        ],
-        root
-      ).estimateGas({ from }))
+      METToken.methods
+        .importMET(
+          toHex(originChain),
+          toHex(destinationChain),
+          [destinationMetAddress, from],
+          extraData,
+          [previousBurnHash, currentBurnHash],
+          supply,
+          [
+            blockTimestamp,
+            value,
+            fee,
+            currentTick,
+            genesisTime,
+            dailyMintable,
+            burnSequence,
+            dailyAuctionStartTime
+          ],
+          root
+        )
+        .estimateGas({ from })
+    )
   }
 }
 
-function addAccount (web3, privateKey) {
-  web3.eth.accounts.wallet.create(0)
-    .add(web3.eth.accounts.privateKeyToAccount(privateKey))
-}
-
-const getNextNonce = (web3, from) =>
-  web3.eth.getTransactionCount(from, 'pending')
-
-function sendMet (web3, chain, logTransaction, metaParsers) {
+/**
+ * Create a function to send MET.
+ *
+ * @param {object} web3 The Web3 instance.
+ * @param {number} chain The chain ID.
+ * @param {Function} sendTransaction Signs and sends a transaction.
+ * @param {object} metaParsers The transaction meta parsers.
+ * @returns {Function} Sends with a signer or private key.
+ */
+function sendMet(web3, chain, sendTransaction, metaParsers) {
   const { METToken } = new MetronomeContracts(web3, chain)
-  return function (privateKey, { gasPrice, gas, from, to, value }) {
-    addAccount(web3, privateKey)
-    return getNextNonce(web3, from)
-      .then(nonce =>
-        logTransaction(
-          METToken.methods.transfer(to, value)
-            .send({ from, gasPrice, gas, nonce }),
-          from,
-          metaParsers.transfer({
-            address: METToken.options.address,
-            returnValues: { _from: from, _to: to, _value: value }
-          })
-        )
-      )
-  }
+  return (signer, { gasPrice, gas, from, to, value }) =>
+    sendTransaction(
+      signer,
+      {
+        data: METToken.methods.transfer(to, value).encodeABI(),
+        from,
+        gas,
+        gasPrice,
+        to: METToken.options.address
+      },
+      metaParsers.transfer({
+        address: METToken.options.address,
+        returnValues: { _from: from, _to: to, _value: value }
+      })
+    )
 }
 
-function exportMet (web3, chain, logTransaction, metaParsers) {
+/**
+ * Create a function to export MET to another chain. The export fee is
+ * calculated if not given.
+ *
+ * @param {object} web3 The Web3 instance.
+ * @param {number} chain The chain ID.
+ * @param {Function} sendTransaction Signs and sends a transaction.
+ * @param {object} metaParsers The transaction meta parsers.
+ * @returns {Function} Exports with a signer or private key.
+ */
+function exportMet(web3, chain, sendTransaction, metaParsers) {
   const { METToken } = new MetronomeContracts(web3, chain)
-  return function (privateKey, params) {
+  return function (signer, params) {
     const {
       destinationChain,
       destinationMetAddress,
@@ -115,22 +129,26 @@ function exportMet (web3, chain, logTransaction, metaParsers) {
       to,
       value
     } = params
-    addAccount(web3, privateKey)
-    return Promise.all([
-      getNextNonce(web3, from),
-      fee || getExportMetFee(web3, chain)({ value })
-    ])
-      .then(([nonce, actualFee]) =>
-        logTransaction(
-          METToken.methods.export(
-            toHex(destinationChain),
-            destinationMetAddress,
-            to || from,
-            value,
-            actualFee,
-            extraData
-          ).send({ from, gasPrice, gas, nonce }),
-          from,
+    return Promise.resolve(fee || getExportMetFee(web3, chain)({ value })).then(
+      actualFee =>
+        sendTransaction(
+          signer,
+          {
+            data: METToken.methods
+              .export(
+                toHex(destinationChain),
+                destinationMetAddress,
+                to || from,
+                value,
+                actualFee,
+                extraData
+              )
+              .encodeABI(),
+            from,
+            gas,
+            gasPrice,
+            to: METToken.options.address
+          },
           metaParsers.export({
             address: from,
             returnValues: {
@@ -141,13 +159,22 @@ function exportMet (web3, chain, logTransaction, metaParsers) {
             }
           })
         )
-      )
+    )
   }
 }
 
-function importMet (web3, chain, logTransaction, metaParsers) {
+/**
+ * Create a function to import MET exported from another chain.
+ *
+ * @param {object} web3 The Web3 instance.
+ * @param {number} chain The chain ID.
+ * @param {Function} sendTransaction Signs and sends a transaction.
+ * @param {object} metaParsers The transaction meta parsers.
+ * @returns {Function} Imports with a signer or private key.
+ */
+function importMet(web3, chain, sendTransaction, metaParsers) {
   const { Auctions, METToken } = new MetronomeContracts(web3, chain)
-  return function (privateKey, params) {
+  return function (signer, params) {
     const {
       blockTimestamp,
       burnSequence,
@@ -167,46 +194,50 @@ function importMet (web3, chain, logTransaction, metaParsers) {
       root,
       value
     } = params
-    addAccount(web3, privateKey)
-
     return Promise.all([
-      getNextNonce(web3, from),
       Auctions.methods.genesisTime().call(),
       Auctions.methods.dailyAuctionStartTime().call()
-    ])
-      .then(([nonce, genesisTime, dailyAuctionStartTime]) =>
-        logTransaction(
-          METToken.methods.importMET(
-            toHex(originChain),
-            toHex(destinationChain),
-            [destinationMetAddress, from],
-            extraData,
-            [previousBurnHash, currentBurnHash],
-            supply,
-            [
-              blockTimestamp,
-              value,
-              fee,
-              currentTick,
-              genesisTime,
-              dailyMintable,
-              burnSequence,
-              dailyAuctionStartTime
-            ],
-            root
-          ).send({ from, gasPrice, gas, nonce }),
+    ]).then(([genesisTime, dailyAuctionStartTime]) =>
+      sendTransaction(
+        signer,
+        {
+          data: METToken.methods
+            .importMET(
+              toHex(originChain),
+              toHex(destinationChain),
+              [destinationMetAddress, from],
+              extraData,
+              [previousBurnHash, currentBurnHash],
+              supply,
+              [
+                blockTimestamp,
+                value,
+                fee,
+                currentTick,
+                genesisTime,
+                dailyMintable,
+                burnSequence,
+                dailyAuctionStartTime
+              ],
+              root
+            )
+            .encodeABI(),
           from,
-          metaParsers.importRequest({
-            returnValues: {
-              amountToImport: value,
-              currentBurnHash,
-              fee,
-              originChain: toHex(originChain),
-              destinationRecipientAddr: from
-            }
-          })
-        )
+          gas,
+          gasPrice,
+          to: METToken.options.address
+        },
+        metaParsers.importRequest({
+          returnValues: {
+            amountToImport: value,
+            currentBurnHash,
+            fee,
+            originChain: toHex(originChain),
+            destinationRecipientAddr: from
+          }
+        })
       )
+    )
   }
 }
 
@@ -3,14 +3,22 @@
 const { getExchangeRate } = require('safe-exchange-rate')
 const debug = require('debug')('met-wallet:core:rates')
 
+const { WalletError } = require('../../errors')
+const createMetrics = require('../../metrics')
 const createStream = require('./stream')
 
+const configSchema = {
+  ratesSource: { type: 'string' },
+  ratesUpdateMs: { type: 'integer', min: 1 }
+}
+
 /**
- * Create a plugin instance.
+ * Create a plugin instance. Each chain gets its own instance to get the rate
+ * of its own `symbol`.
  *
- * @returns {({ start: Function, stop: () => void})} The plugin instance.
+ * @returns {object} The plugin instance: `name`, `start` and `stop`.
  */
-function createPlugin () {
+function createPlugin() {
   let dataStream
 
   /**
@@ -19,20 +27,24 @@ function createPlugin () {
    * @param {object} options Start options.
    * @returns {{ events: string[] }} The instance details.
    */
-  function start ({ config, eventBus }) {
+  function start({ config, eventBus, metrics = createMetrics() }) {
     debug.enabled = debug.enabled || config.debug
 
     debug('Plugin starting')
 
     const { ratesUpdateMs, symbol } = config
 
+    const pair = `${symbol}:USD`
+
     const getRate = () =>
-      getExchangeRate(`${symbol}:USD`).then(function (rate) {
-        if (typeof rate !== 'number') {
-          throw new Error(`No exchange rate retrieved for ${symbol}`)
-        }
-        return rate
-      })
+      metrics.time('rates', pair, () =>
+        getExchangeRate(pair).then(function (rate) {
+          if (typeof rate !== 'number') {
+            throw new Error(`No exchange rate retrieved for ${symbol}`)
+          }
+          return rate
+        })
+      )
 
     dataStream = createStream(getRate, ratesUpdateMs)
 
@@ -46,11 +58,14 @@ function createPlugin () {
     dataStream.on('error', function (err) {
       debug('Data stream error')
 
-      eventBus.emit('wallet-error', {
-        inner: err,
-        message: `Could not get exchange rate for ${symbol}`,
-        meta: { plugin: 'rates' }
-      })
+      eventBus.emit(
+        'wallet-error',
+        new WalletError(
+          'RATES_UNAVAILABLE',
+          `Could not get exchange rate for ${symbol}`,
+          { inner: err, meta: { plugin: 'rates', symbol } }
+        )
+      )
     })
 
     return {
@@ -68,6 +83,10 @@ function createPlugin () {
   }
 
   return {
+    configSchema,
+    dependencies: [],
+    name: 'rates',
+    perChain: true,
     start,
     stop
   }
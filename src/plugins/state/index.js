@@ -0,0 +1,56 @@
+'use strict'
+
+const debug = require('debug')('met-wallet:core:state')
+
+const { createStore } = require('./store')
+
+/**
+ * Create the state plugin. It aggregates the `wallet-state-changed` deltas
+ * emitted by the other plugins so late consumers can get the whole state.
+ *
+ * @returns {object} The plugin.
+ */
+function createPlugin() {
+  const store = createStore()
+
+  /**
+   * Start the plugin.
+   *
+   * @param {object} params The start parameters.
+   * @param {object} params.config The configuration options.
+   * @param {object} params.eventBus The cross-plugin event emitter.
+   * @returns {{api:object}} The plugin API.
+   */
+  function start({ config, eventBus }) {
+    debug.enabled = config.debug
+
+    eventBus.on('wallet-state-changed', function (delta) {
+      debug('Merging state changes')
+      store.update(delta)
+    })
+
+    return {
+      api: {
+        get: store.get,
+        subscribe: store.subscribe
+      }
+    }
+  }
+
+  /**
+   * Stop the plugin and drop the state.
+   */
+  function stop() {
+    store.clear()
+  }
+
+  return {
+    dependencies: [],
+    name: 'state',
+    perChain: true,
+    start,
+    stop
+  }
+}
+
+module.exports = createPlugin
@@ -0,0 +1,188 @@
+'use strict'
+
+const { isNil, mapValues, omit, omitBy } = require('lodash')
+
+const getReplacedHash = ({ meta }) => meta && (meta.replaces || meta.cancels)
+
+/**
+ * Merge transactions into a list, replacing the ones with the same hash.
+ *
+ * A speed up or cancellation, which has the hash of the transaction it
+ * replaced in `meta.replaces` or `meta.cancels`, takes the place of that
+ * transaction so both show as a single entry.
+ *
+ * @param {object[]} current The current transactions.
+ * @param {object[]} incoming The new or updated transactions.
+ * @returns {object[]} The merged transactions list.
+ */
+function mergeTransactions(current = [], incoming) {
+  const merged = current.slice()
+
+  incoming.forEach(function (data) {
+    const hash = data.transaction && data.transaction.hash
+    const index = merged.findIndex(t => t.transaction.hash === hash)
+    const replacedIndex = merged.findIndex(
+      t => t.transaction.hash === getReplacedHash(data)
+    )
+    if (index !== -1) {
+      merged[index] = Object.assign({}, merged[index], omitBy(data, isNil))
+    } else if (replacedIndex !== -1) {
+      merged[replacedIndex] = data
+    } else {
+      merged.push(data)
+    }
+  })
+
+  const replaced = merged.map(getReplacedHash).filter(Boolean)
+  return merged.filter(t => !replaced.includes(t.transaction.hash))
+}
+
+const mergeTokens = (current = {}, incoming) =>
+  Object.assign(
+    {},
+    current,
+    mapValues(incoming, (data, address) =>
+      Object.assign({}, current[address], data)
+    )
+  )
+
+/**
+ * Merge the changes of an address. Tokens and transactions are merged by key.
+ *
+ * @param {object} [current] The current address state.
+ * @param {object} delta The address changes.
+ * @returns {object} The new address state.
+ */
+function mergeAddress(current = {}, delta) {
+  const next = Object.assign(
+    {},
+    current,
+    omit(delta, ['token', 'transactions'])
+  )
+
+  if (delta.token) {
+    next.token = mergeTokens(current.token, delta.token)
+  }
+  if (delta.transactions) {
+    next.transactions = mergeTransactions(
+      current.transactions,
+      delta.transactions
+    )
+  }
+
+  return next
+}
+
+/**
+ * Merge the changes of a wallet and its addresses.
+ *
+ * @param {object} [current] The current wallet state.
+ * @param {object} delta The wallet changes.
+ * @returns {object} The new wallet state.
+ */
+function mergeWallet(current = {}, delta) {
+  const next = Object.assign({}, current, omit(delta, ['addresses']))
+
+  if (delta.addresses) {
+    const addresses = Object.assign({}, current.addresses)
+    Object.keys(delta.addresses).forEach(function (address) {
+      addresses[address] = mergeAddress(
+        addresses[address],
+        delta.addresses[address]
+      )
+    })
+    next.addresses = addresses
+  }
+
+  return next
+}
+
+/**
+ * Merge a `wallet-state-changed` delta into the state. Only the objects in the
+ * path of a change are copied so unchanged parts of the state keep their
+ * identity.
+ *
+ * @param {object} state The current state.
+ * @param {object} delta The state changes by wallet ID.
+ * @returns {object} The new state.
+ */
+function applyDelta(state, delta) {
+  const next = Object.assign({}, state)
+  Object.keys(delta).forEach(function (walletId) {
+    next[walletId] = mergeWallet(state[walletId], delta[walletId])
+  })
+  return next
+}
+
+/**
+ * Create a store holding the aggregated state of all wallets.
+ *
+ * @returns {object} The store.
+ */
+function createStore() {
+  let state = {}
+  let subscriptions = []
+
+  const get = () => state
+
+  /**
+   * Merge a delta and notify the subscriptions whose value changed.
+   *
+   * @param {object} delta The state changes by wallet ID.
+   */
+  function update(delta) {
+    state = applyDelta(state, delta)
+
+    subscriptions.forEach(function (subscription) {
+      const value = subscription.selector(state)
+      if (value !== subscription.value) {
+        subscription.value = value
+        subscription.listener(value)
+      }
+    })
+  }
+
+  /**
+   * Listen for changes of a part of the state. The listener is called with the
+   * current value right away and then each time the selected value changes.
+   *
+   * @param {Function} [selector] Selects the part of the state to watch.
+   *   Defaults to the whole state.
+   * @param {Function} listener Called with the selected value.
+   * @returns {Function} Call to stop listening.
+   */
+  function subscribe(selector, listener) {
+    if (!listener) {
+      return subscribe(s => s, selector)
+    }
+
+    const subscription = { listener, selector, value: selector(state) }
+    subscriptions.push(subscription)
+
+    listener(subscription.value)
+
+    return function () {
+      subscriptions = subscriptions.filter(s => s !== subscription)
+    }
+  }
+
+  /**
+   * Drop the state and all the subscriptions.
+   */
+  function clear() {
+    state = {}
+    subscriptions = []
+  }
+
+  return {
+    clear,
+    get,
+    subscribe,
+    update
+  }
+}
+
+module.exports = {
+  applyDelta,
+  createStore
+}
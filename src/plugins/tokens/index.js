@@ -4,6 +4,7 @@ const { utils: { isAddress, toChecksumAddress } } = require('web3')
 const debug = require('debug')('met-wallet:core:tokens')
 const Web3 = require('web3')
 
+const { WalletError, wrapApi } = require('../../errors')
 const abi = require('./erc20-abi.json')
 const events = require('./events')
 
@@ -44,7 +45,7 @@ function createPlugin () {
         .then(gasLimit => ({ gasLimit }))
     }
 
-  let accountAddress
+  let accountAddresses = []
   let walletId
 
   function start ({ config, eventBus, plugins }) {
@@ -72,49 +73,65 @@ function createPlugin () {
             })
           })
           .catch(function (err) {
-            eventBus.emit('wallet-error', {
-              inner: err,
-              message: `Could not get ${symbol} token balance`,
-              meta: { plugin: 'tokens' }
-            })
+            eventBus.emit(
+              'wallet-error',
+              new WalletError(
+                'TOKEN_BALANCE_UNAVAILABLE',
+                `Could not get ${symbol} token balance`,
+                {
+                  inner: err,
+                  meta: { address, contractAddress, plugin: 'tokens' }
+                }
+              )
+            )
           })
       })
     }
 
-    eventBus.on('open-wallets', function ({ address, activeWallet }) {
-      accountAddress = address
-      walletId = activeWallet
+    eventBus.on(
+      'open-wallets',
+      function ({ activeWallet, address, addresses }) {
+        accountAddresses = addresses || [address]
+        walletId = activeWallet
 
-      emitBalances(address)
-    })
+        accountAddresses.forEach(emitBalances)
+      }
+    )
 
     eventBus.on('coin-tx', function () {
-      if (accountAddress && walletId) {
-        emitBalances(accountAddress)
+      if (walletId) {
+        accountAddresses.forEach(emitBalances)
       }
     })
 
     return {
-      api: {
-        getTokensGasLimit: getTokensGasLimit(web3),
-        registerToken: registerToken(plugins),
-        metaParsers: {
-          approval: events.approvalMetaParser,
-          transfer: events.transferMetaParser
-        }
-      },
-      events: [
-        'wallet-error'
-      ],
-      name: 'tokens'
+      api: wrapApi(
+        {
+          getTokensGasLimit: getTokensGasLimit(web3),
+          registerToken: registerToken(plugins),
+          metaParsers: {
+            approval: events.approvalMetaParser,
+            transfer: events.transferMetaParser
+          }
+        },
+        'tokens',
+        { getTokensGasLimit: 'GAS_ESTIMATION_FAILED' }
+      ),
+      events: ['wallet-error']
     }
   }
 
-  function stop () {
-    accountAddress = null
+  function stop() {
+    accountAddresses = []
   }
 
-  return { start, stop }
+  return {
+    dependencies: ['eth', 'explorer'],
+    name: 'tokens',
+    perChain: true,
+    start,
+    stop
+  }
 }
 
 module.exports = createPlugin
@@ -1,34 +1,231 @@
 'use strict'
 
-const estimateGas = web3 =>
+const { noop } = require('lodash')
+const {
+  utils: { BN, toBN }
+} = require('web3')
+
+const { toSigner } = require('./signers')
+
+const estimateGas =
+  web3 =>
   ({ from, to, value }) =>
-    web3.eth.estimateGas({ from, to, value })
-      .then(gasLimit => ({ gasLimit }))
+    web3.eth.estimateGas({ from, to, value }).then(gasLimit => ({ gasLimit }))
 
-const getGasPrice = web3 =>
-  () =>
-    web3.eth.getGasPrice()
-      .then(gasPrice => ({ gasPrice }))
+const getGasPrice = web3 => () =>
+  web3.eth.getGasPrice().then(gasPrice => ({ gasPrice }))
 
-function addAccount (web3, privateKey) {
-  web3.eth.accounts.wallet.create(0)
-    .add(web3.eth.accounts.privateKeyToAccount(privateKey))
-}
+/**
+ * Fill, sign and send a transaction. The nonce is reserved before signing and
+ * released if the transaction could not be sent.
+ *
+ * @param {object} context The Web3 instance, nonce manager, chain ID, etc.
+ * @param {object} signer The signer of the sender.
+ * @param {object} transaction The transaction.
+ * @param {object} [meta] The transaction metadata.
+ * @returns {Promise<object>} The logged transaction receipt.
+ */
+function sendWithSigner(context, signer, transaction, meta) {
+  const { chainId, logTransaction, nonces, web3 } = context
+  const {
+    data = '0x',
+    from,
+    gas,
+    gasPrice,
+    nonce,
+    to,
+    value = '0'
+  } = transaction
+
+  // Nonces are reserved as soon as the sender is known so concurrent sends get
+  // these in the order of the calls
+  const reserveNonce = address =>
+    Promise.resolve(nonce === undefined ? nonces.reserve(address) : nonce).then(
+      txNonce => ({ address, txNonce })
+    )
+  const reservation = from
+    ? reserveNonce(from)
+    : signer.getAddress().then(reserveNonce)
 
-const sendSignedTransaction = (web3, logTransaction) =>
-  function (privateKey, { from, to, value, gas, gasPrice }) {
-    addAccount(web3, privateKey)
-    return web3.eth.getTransactionCount(from, 'pending')
-      .then(nonce =>
-        logTransaction(
-          web3.eth.sendTransaction({ from, to, value, gas, gasPrice, nonce }),
-          from
+  return Promise.all([reservation, signer.getAddress()])
+    .then(function ([{ address, txNonce }, signerAddress]) {
+      if (address.toLowerCase() !== signerAddress.toLowerCase()) {
+        throw new Error(
+          `Signer address ${signerAddress} does not match ${from}`
         )
-      )
+      }
+      return Promise.all([
+        gasPrice || web3.eth.getGasPrice(),
+        gas || web3.eth.estimateGas({ data, from: address, to, value })
+      ])
+        .then(([txGasPrice, txGas]) =>
+          signer.signTransaction({
+            chainId,
+            data,
+            gas: txGas,
+            gasPrice: txGasPrice,
+            nonce: txNonce,
+            to,
+            value
+          })
+        )
+        .then(function (rawTransaction) {
+          const promiEvent = web3.eth.sendSignedTransaction(rawTransaction)
+          const confirmNonce = () => nonces.confirm(address, txNonce)
+          if (promiEvent.once) {
+            promiEvent.once('transactionHash', confirmNonce)
+          }
+          return logTransaction(promiEvent, address, meta).then(function (
+            result
+          ) {
+            confirmNonce()
+            return result
+          })
+        })
+    })
+    .catch(err =>
+      // Release the nonce if the transaction did not make it to the node
+      reservation
+        .then(function ({ address, txNonce }) {
+          if (nonce === undefined) {
+            nonces.release(address, txNonce)
+          }
+        }, noop)
+        .then(function () {
+          throw err
+        })
+    )
+}
+
+/**
+ * Send a transaction signed by a signer or a private key and log it in the
+ * explorer. The `nonce`, `gasPrice` and `gas` are taken from the node if not
+ * set, the `nonce` being reserved in the nonce manager. The transaction is
+ * signed locally and broadcast already signed so the keys are never handed to
+ * the Web3 instance.
+ *
+ * @param {object} web3 The Web3 instance.
+ * @param {Function} logTransaction The explorer function to log transactions.
+ * @param {object} nonces The nonce manager.
+ * @param {number} chainId The chain ID.
+ * @returns {Function} Resolves to the transaction receipt.
+ */
+const sendTransaction = (web3, logTransaction, nonces, chainId) =>
+  function (signerOrKey, transaction, meta) {
+    const context = { chainId, logTransaction, nonces, web3 }
+    const signer = toSigner(signerOrKey)
+    return sendWithSigner(context, signer, transaction, meta).catch(function (
+      err
+    ) {
+      // Wipe the key of a single-use signer if failed before signing
+      if (signer !== signerOrKey) {
+        signer.destroy()
+      }
+      throw err
+    })
   }
 
+const sendCoin =
+  send =>
+  (signer, { from, to, value, gas, gasPrice }) =>
+    send(signer, { from, gas, gasPrice, to, value })
+
+// Nodes accept a replacement only if its gas price is 10% higher
+const getMinReplacementGasPrice = gasPrice =>
+  toBN(gasPrice).muln(110).addn(99).divn(100)
+
+/**
+ * Get the original of a replacement and the gas price to send it again with.
+ *
+ * @param {object} web3 The Web3 instance.
+ * @param {string} hash The hash of the pending transaction.
+ * @param {string} [gasPrice] The gas price requested.
+ * @returns {Promise<object>} The original transaction and the gas price.
+ */
+const getReplacementBase = (web3, hash, gasPrice) =>
+  Promise.all([
+    web3.eth.getTransaction(hash),
+    gasPrice || web3.eth.getGasPrice()
+  ]).then(function ([original, price]) {
+    if (!original) {
+      throw new Error(`Transaction ${hash} not found`)
+    }
+    if (original.blockNumber !== null) {
+      throw new Error(`Transaction ${hash} already mined`)
+    }
+
+    const minGasPrice = getMinReplacementGasPrice(original.gasPrice)
+    if (gasPrice && toBN(gasPrice).lt(minGasPrice)) {
+      throw new Error(`Gas price must be at least ${minGasPrice}`)
+    }
+
+    return {
+      gasPrice: BN.max(toBN(price), minGasPrice).toString(),
+      original
+    }
+  })
+
+/**
+ * Send again a pending transaction with a higher gas price and the same nonce.
+ * If not set, the gas price is the current one of the node or 10% higher than
+ * the original, whichever is higher.
+ *
+ * @param {object} web3 The Web3 instance.
+ * @param {Function} send The function to send transactions.
+ * @returns {Function} Resolves to the receipt of the replacement.
+ */
+const speedUpTransaction =
+  (web3, send) =>
+  (signer, hash, { gasPrice } = {}) =>
+    getReplacementBase(web3, hash, gasPrice).then(
+      ({ gasPrice: newGasPrice, original }) =>
+        send(
+          signer,
+          {
+            data: original.input,
+            from: original.from,
+            gas: original.gas,
+            gasPrice: newGasPrice,
+            nonce: original.nonce,
+            to: original.to,
+            value: original.value
+          },
+          { replaces: hash }
+        )
+    )
+
+/**
+ * Cancel a pending transaction by sending 0 coins to self with a higher gas
+ * price and the same nonce. The gas price is set as in `speedUpTransaction()`.
+ *
+ * @param {object} web3 The Web3 instance.
+ * @param {Function} send The function to send transactions.
+ * @returns {Function} Resolves to the receipt of the cancellation.
+ */
+const cancelTransaction =
+  (web3, send) =>
+  (signer, hash, { gasPrice } = {}) =>
+    getReplacementBase(web3, hash, gasPrice).then(
+      ({ gasPrice: newGasPrice, original }) =>
+        send(
+          signer,
+          {
+            from: original.from,
+            gas: 21000,
+            gasPrice: newGasPrice,
+            nonce: original.nonce,
+            to: original.from,
+            value: '0'
+          },
+          { cancels: hash }
+        )
+    )
+
 module.exports = {
+  cancelTransaction,
   estimateGas,
   getGasPrice,
-  sendSignedTransaction
+  sendCoin,
+  sendTransaction,
+  speedUpTransaction
 }
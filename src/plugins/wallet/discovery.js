@@ -0,0 +1,73 @@
+'use strict'
+
+const { last, range } = require('lodash')
+const debug = require('debug')('met-wallet:core:wallet:discovery')
+
+/**
+ * Check if an address was ever used: it has sent transactions, it has balance
+ * or the indexer knows about transactions to or from it.
+ *
+ * @param {object} web3 The Web3 instance.
+ * @param {Function} hasTransactions Checks the indexer history of an address.
+ * @param {string} address The address.
+ * @returns {Promise<boolean>} Whether the address was used.
+ */
+const isUsed = (web3, hasTransactions, address) =>
+  Promise.all([
+    web3.eth.getTransactionCount(address),
+    web3.eth.getBalance(address),
+    hasTransactions(address)
+  ]).then(
+    ([nonce, balance, hasHistory]) => nonce > 0 || balance !== '0' || hasHistory
+  )
+
+/**
+ * Find all the used addresses of a seed. Derivation indexes are scanned in
+ * batches until `gapLimit` unused addresses in a row are found.
+ *
+ * @param {object} web3 The Web3 instance.
+ * @param {Function} hasTransactions Checks the indexer history of an address.
+ * @param {Function} getAddress Derives an address from a seed, index and path.
+ * @param {number} defaultGapLimit The gap limit.
+ * @returns {Function} Resolves to the used addresses and their indexes.
+ */
+// eslint-disable-next-line max-params
+const discoverAddresses = (
+  web3,
+  hasTransactions,
+  getAddress,
+  defaultGapLimit
+) =>
+  function (seed, { gapLimit = defaultGapLimit, path } = {}) {
+    const used = []
+
+    /**
+     * Check a gap limit worth of addresses and go on while any is used.
+     *
+     * @param {number} fromIndex The first index to check.
+     * @returns {Promise<object[]>} The used addresses and indexes.
+     */
+    function scan(fromIndex) {
+      debug('Scanning indexes %s to %s', fromIndex, fromIndex + gapLimit - 1)
+      return Promise.all(
+        range(fromIndex, fromIndex + gapLimit).map(function (index) {
+          const address = getAddress(seed, index, path)
+          return isUsed(web3, hasTransactions, address).then(wasUsed =>
+            wasUsed ? { address, index } : null
+          )
+        })
+      ).then(function (results) {
+        used.push(...results.filter(Boolean))
+
+        const nextIndex = fromIndex + gapLimit
+        const lastUsedIndex = used.length ? last(used).index : -1
+        return nextIndex - lastUsedIndex - 1 >= gapLimit
+          ? used
+          : scan(nextIndex)
+      })
+    }
+
+    return scan(0)
+  }
+
+module.exports = discoverAddresses
@@ -2,26 +2,67 @@
 
 const { hdkey } = require('ethereumjs-wallet')
 
-const getWalletFromSeed = (seed, index = 0) =>
-  hdkey.fromMasterSeed(Buffer.from(seed, 'hex'))
-    .derivePath(`m/44'/60'/0'/0/${index}`)
+// Derivation path presets by name. The `x` in the path is replaced by the
+// address index.
+const pathPresets = {
+  bip44: coinType => `m/44'/${coinType}'/0'/0/x`,
+  ledgerLive: coinType => `m/44'/${coinType}'/x'/0/0`,
+  legacy: coinType => `m/44'/${coinType}'/0'/x`
+}
+
+const pathTemplateRegExp = /^m(\/\d+'?)*\/x'?(\/\d+'?)*$/
+
+const isPathTemplate = path => pathTemplateRegExp.test(path)
+
+/**
+ * Get the SLIP-44 coin type of a chain. Ethereum Classic mainnet uses its own
+ * coin type and all other chains use Ethereum's.
+ *
+ * @param {number} chainId The chain ID.
+ * @returns {number} The coin type.
+ */
+const getCoinType = chainId => (chainId === 61 ? 61 : 60)
+
+/**
+ * Get the path template of a preset. Path templates are returned as is.
+ *
+ * @param {string} path A preset name or a path template.
+ * @param {number} [coinType] The coin type used in the preset.
+ * @returns {string} The path template.
+ */
+function getPathTemplate(path, coinType = 60) {
+  if (pathPresets[path]) {
+    return pathPresets[path](coinType)
+  }
+  if (isPathTemplate(path)) {
+    return path
+  }
+  throw new Error(`Invalid derivation path ${path}`)
+}
+
+const getWalletFromSeed = (seed, index = 0, path = 'bip44') =>
+  hdkey
+    .fromMasterSeed(Buffer.from(seed, 'hex'))
+    .derivePath(getPathTemplate(path).replace('x', index))
     .getWallet()
 
-const getAddress = (seed, index) =>
-  getWalletFromSeed(seed, index)
-    .getChecksumAddressString()
+const getAddress = (seed, index, path) =>
+  getWalletFromSeed(seed, index, path).getChecksumAddressString()
 
-const getPrivateKey = (seed, index) =>
-  getWalletFromSeed(seed, index)
-    .getPrivateKeyString()
+const getPrivateKey = (seed, index, path) =>
+  getWalletFromSeed(seed, index, path).getPrivateKeyString()
 
-const getAddressAndPrivateKey = (seed, index) => ({
-  address: getAddress(seed, index),
-  privateKey: getPrivateKey(seed, index)
+const getAddressAndPrivateKey = (seed, index, path) => ({
+  address: getAddress(seed, index, path),
+  privateKey: getPrivateKey(seed, index, path)
 })
 
 module.exports = {
   getAddress,
+  getAddressAndPrivateKey,
+  getCoinType,
+  getPathTemplate,
   getPrivateKey,
-  getAddressAndPrivateKey
+  isPathTemplate,
+  pathPresets
 }
@@ -3,20 +3,63 @@
 const debug = require('debug')('met-wallet:core:wallet')
 const Web3 = require('web3')
 
+const { WalletError, wrapApi } = require('../../errors')
 const api = require('./api')
+const createNonceManager = require('./nonce-manager')
+const discoverAddresses = require('./discovery')
 const hdkey = require('./hdkey')
+const keystore = require('./keystore')
+const mnemonic = require('./mnemonic')
+const signers = require('./signers')
+const vault = require('./vault')
 
-function createPlugin () {
+const configSchema = {
+  coinType: { type: 'integer', min: 0, optional: true },
+  derivationPath: {
+    check: path =>
+      hdkey.pathPresets[path] || hdkey.isPathTemplate(path)
+        ? undefined
+        : `must be one of ${Object.keys(hdkey.pathPresets).join(
+            ', '
+          )} or a path template as m/44'/60'/0'/0/x`,
+    type: 'string'
+  },
+  discoveryGapLimit: { type: 'integer', min: 1 }
+}
+
+function createPlugin() {
   let addresses = []
 
-  function start ({ config, eventBus, plugins }) {
+  function start({ config, eventBus, plugins }) {
     debug.enabled = config.debug
 
     const web3 = new Web3(plugins.eth.web3Provider)
     let walletId
 
-    function emitBalance (address) {
-      web3.eth.getBalance(address)
+    // Presets use the coin type of the chain unless set in the config
+    const coinType =
+      typeof config.coinType === 'number'
+        ? config.coinType
+        : hdkey.getCoinType(config.chainId)
+    const toPathTemplate = (path = config.derivationPath) =>
+      hdkey.getPathTemplate(path, coinType)
+
+    const getAddress = (seed, index, path) =>
+      hdkey.getAddress(seed, index, toPathTemplate(path))
+
+    const nonces = createNonceManager(config, web3)
+    const sendTransaction = plugins.eth.guardChain(
+      api.sendTransaction(
+        web3,
+        plugins.explorer.logTransaction,
+        nonces,
+        config.chainId
+      )
+    )
+
+    function emitBalance(address) {
+      web3.eth
+        .getBalance(address)
         .then(function (balance) {
           eventBus.emit('wallet-state-changed', {
             [walletId]: {
@@ -29,18 +72,28 @@ function createPlugin () {
           })
         })
         .catch(function (err) {
-          eventBus.emit('wallet-error', {
-            inner: err,
-            message: `Could not get ${config.symbol} balance`,
-            meta: { plugin: 'wallet' }
-          })
+          eventBus.emit(
+            'wallet-error',
+            new WalletError(
+              'BALANCE_UNAVAILABLE',
+              `Could not get ${config.symbol} balance`,
+              { inner: err, meta: { address, plugin: 'wallet' } }
+            )
+          )
         })
     }
 
-    eventBus.on('open-wallets', function ({ address, activeWallet }) {
-      addresses.push(address)
-      walletId = activeWallet
-      emitBalance(address)
+    // All the addresses of a wallet, i.e. the discovered ones, can be opened
+    // at once
+    eventBus.on('open-wallets', function (wallet) {
+      const opened = wallet.addresses || [wallet.address]
+      walletId = wallet.activeWallet
+      opened.forEach(function (openedAddress) {
+        if (!addresses.includes(openedAddress)) {
+          addresses.push(openedAddress)
+        }
+        emitBalance(openedAddress)
+      })
     })
 
     eventBus.on('coin-tx', function () {
@@ -52,29 +105,73 @@ function createPlugin () {
     })
 
     return {
-      api: {
-        createAddress: hdkey.getAddress,
-        createPrivateKey: hdkey.getPrivateKey,
-        getAddressAndPrivateKey: hdkey.getAddressAndPrivateKey,
-        getGasLimit: api.estimateGas(web3),
-        getGasPrice: api.getGasPrice(web3),
-        sendCoin: api.sendSignedTransaction(
-          web3, plugins.explorer.logTransaction
-        )
-      },
-      events: [
-        'wallet-error',
-        'wallet-state-changed'
-      ],
-      name: 'wallet'
+      api: wrapApi(
+        {
+          cancelTransaction: api.cancelTransaction(web3, sendTransaction),
+          changeVaultPassword: vault.changeVaultPassword,
+          createAddress: getAddress,
+          createHdSigner: (seed, index, path) =>
+            signers.createHdSigner(seed, index, toPathTemplate(path)),
+          createMnemonic: mnemonic.createMnemonic,
+          createPrivateKey: (seed, index, path) =>
+            hdkey.getPrivateKey(seed, index, toPathTemplate(path)),
+          createPrivateKeySigner: signers.createPrivateKeySigner,
+          createVault: vault.createVault,
+          discoverAddresses: discoverAddresses(
+            web3,
+            plugins.explorer.hasTransactions,
+            getAddress,
+            config.discoveryGapLimit
+          ),
+          exportKeystore: keystore.exportKeystore,
+          getAddressAndPrivateKey: (seed, index, path) =>
+            hdkey.getAddressAndPrivateKey(seed, index, toPathTemplate(path)),
+          getGasLimit: api.estimateGas(web3),
+          getGasPrice: api.getGasPrice(web3),
+          getNonceGaps: nonces.getGaps,
+          importKeystore: keystore.importKeystore,
+          mnemonicToSeed: mnemonic.mnemonicToSeed,
+          openVault: vault.openVault,
+          releaseNonce: nonces.release,
+          reserveNonce: nonces.reserve,
+          sendCoin: api.sendCoin(sendTransaction),
+          sendTransaction,
+          speedUpTransaction: api.speedUpTransaction(web3, sendTransaction),
+          validateMnemonic: mnemonic.validateMnemonic
+        },
+        'wallet',
+        {
+          cancelTransaction: 'TRANSACTION_FAILED',
+          changeVaultPassword: 'KEYSTORE_INVALID',
+          createVault: 'KEYSTORE_INVALID',
+          discoverAddresses: 'ADDRESS_DISCOVERY_FAILED',
+          exportKeystore: 'KEYSTORE_INVALID',
+          getGasLimit: 'GAS_ESTIMATION_FAILED',
+          getGasPrice: 'GAS_ESTIMATION_FAILED',
+          importKeystore: 'KEYSTORE_INVALID',
+          mnemonicToSeed: 'MNEMONIC_INVALID',
+          openVault: 'KEYSTORE_INVALID',
+          sendCoin: 'TRANSACTION_FAILED',
+          sendTransaction: 'TRANSACTION_FAILED',
+          speedUpTransaction: 'TRANSACTION_FAILED'
+        }
+      ),
+      events: ['wallet-error', 'wallet-state-changed']
     }
   }
 
-  function stop () {
+  function stop() {
     addresses = []
   }
 
-  return { start, stop }
+  return {
+    configSchema,
+    dependencies: ['eth', 'explorer'],
+    name: 'wallet',
+    perChain: true,
+    start,
+    stop
+  }
 }
 
 module.exports = createPlugin
@@ -0,0 +1,38 @@
+'use strict'
+
+const { default: Wallet } = require('ethereumjs-wallet')
+
+const toBuffer = hex => Buffer.from(hex.replace(/^0x/, ''), 'hex')
+
+/**
+ * Encrypt a private key as a Web3 Secret Storage v3 keystore.
+ *
+ * @param {string} privateKey The private key as hex.
+ * @param {string} password The password.
+ * @param {object} [options] The encryption options.
+ * @param {string} [options.kdf] The key derivation function: `scrypt` or
+ *   `pbkdf2`.
+ * @returns {Promise<object>} The keystore.
+ */
+const exportKeystore = (privateKey, password, options = {}) =>
+  new Promise(resolve =>
+    resolve(Wallet.fromPrivateKey(toBuffer(privateKey)))
+  ).then(wallet => wallet.toV3(password, options))
+
+/**
+ * Decrypt a Web3 Secret Storage v3 keystore.
+ *
+ * @param {string|object} json The keystore.
+ * @param {string} password The password.
+ * @returns {Promise<object>} The `address` and `privateKey`.
+ */
+const importKeystore = (json, password) =>
+  Wallet.fromV3(json, password, true).then(wallet => ({
+    address: wallet.getChecksumAddressString(),
+    privateKey: wallet.getPrivateKeyString()
+  }))
+
+module.exports = {
+  exportKeystore,
+  importKeystore
+}
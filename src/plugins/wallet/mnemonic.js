@@ -0,0 +1,134 @@
+'use strict'
+
+const bip39 = require('bip39')
+
+const wordlist = bip39.wordlists.english
+
+const maxSuggestions = 5
+
+/**
+ * Normalize a mnemonic given as a string or a list of words.
+ *
+ * @param {string|string[]} words The mnemonic.
+ * @returns {string[]} The lower case words.
+ */
+const toWords = words =>
+  (Array.isArray(words) ? words.join(' ') : words)
+    .trim()
+    .toLowerCase()
+    .split(/\s+/)
+    .filter(Boolean)
+
+/**
+ * Get the Levenshtein distance between two words.
+ *
+ * @param {string} a A word.
+ * @param {string} b The other word.
+ * @returns {number} The number of edits to turn one word into the other.
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j)
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i]
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      )
+    }
+    previous = current
+  }
+  return previous[b.length]
+}
+
+/**
+ * Get the words of the list that may have been meant instead of an unknown one.
+ *
+ * Words of the list are unique by their first 4 letters so words sharing the
+ * start of the unknown one go first, then the ones with a typo or two.
+ *
+ * @param {string} word The unknown word.
+ * @returns {string[]} The suggestions.
+ */
+function getSuggestions(word) {
+  const prefix = word.slice(0, 4)
+  const byPrefix = wordlist.filter(w => w.startsWith(prefix))
+  if (byPrefix.length) {
+    return byPrefix.slice(0, maxSuggestions)
+  }
+  return wordlist
+    .map(w => ({ distance: editDistance(word, w), w }))
+    .filter(({ distance }) => distance <= 2)
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, maxSuggestions)
+    .map(({ w }) => w)
+}
+
+/**
+ * Create a new BIP39 mnemonic.
+ *
+ * @param {number} [strength] The entropy bits: 128 for 12 words to 256 for 24.
+ * @returns {string} The mnemonic.
+ */
+const createMnemonic = (strength = 128) => bip39.generateMnemonic(strength)
+
+/**
+ * Validate a BIP39 mnemonic. If invalid, the `error` is one of `WORD_COUNT`,
+ * `UNKNOWN_WORDS` or `CHECKSUM` and each of the `unknownWords` has its
+ * `index`, the `word` and the `suggestions` from the word list.
+ *
+ * @param {string|string[]} words The mnemonic.
+ * @returns {object} The validation result.
+ */
+function validateMnemonic(words) {
+  const list = toWords(words)
+
+  const unknownWords = list
+    .map((word, index) => ({ index, word }))
+    .filter(({ word }) => !wordlist.includes(word))
+    .map(({ index, word }) => ({
+      index,
+      suggestions: getSuggestions(word),
+      word
+    }))
+
+  let error = null
+  if (unknownWords.length) {
+    error = 'UNKNOWN_WORDS'
+  } else if (list.length < 12 || list.length > 24 || list.length % 3) {
+    error = 'WORD_COUNT'
+  } else if (!bip39.validateMnemonic(list.join(' '), wordlist)) {
+    error = 'CHECKSUM'
+  }
+
+  return {
+    error,
+    unknownWords,
+    valid: !error
+  }
+}
+
+/**
+ * Derive the seed of a BIP39 mnemonic. The seed can be used to derive the
+ * wallet addresses and keys.
+ *
+ * @param {string|string[]} words The mnemonic.
+ * @param {string} [passphrase] The optional passphrase.
+ * @returns {Promise<string>} The seed as hex.
+ */
+function mnemonicToSeed(words, passphrase = '') {
+  const { error } = validateMnemonic(words)
+  if (error) {
+    return Promise.reject(new Error(`Invalid mnemonic: ${error}`))
+  }
+  return bip39
+    .mnemonicToSeed(toWords(words).join(' '), passphrase)
+    .then(seed => seed.toString('hex'))
+}
+
+module.exports = {
+  createMnemonic,
+  mnemonicToSeed,
+  validateMnemonic
+}
@@ -0,0 +1,142 @@
+'use strict'
+
+const debug = require('debug')('met-wallet:core:wallet:nonce-manager')
+const { noop, range, without } = require('lodash')
+
+/**
+ * Create a manager of the nonces of the wallet addresses so concurrent sends
+ * from an address never take the same nonce.
+ *
+ * Nonces are handed out one at a time per address, in the order requested,
+ * and are reconciled each time with the pending transaction count of the node.
+ * A nonce is `reserved` until its transaction is broadcast, then `sent`. The
+ * nonces between the pending count and the highest one handed out that are
+ * neither reserved nor sent, i.e. released after a failure, are gaps. These
+ * are handed out first so later transactions are not stuck in the node queue.
+ *
+ * @param {object} config The config.
+ * @param {object} web3 The Web3 instance.
+ * @returns {object} The nonce manager API.
+ */
+function createNonceManager(config, web3) {
+  debug.enabled = config.debug
+
+  const accounts = {}
+
+  /**
+   * Get the nonce tracking state of an address, creating it if new.
+   *
+   * @param {string} address The address.
+   * @returns {object} The account state.
+   */
+  function getAccount(address) {
+    const key = address.toLowerCase()
+    if (!accounts[key]) {
+      accounts[key] = {
+        lock: Promise.resolve(),
+        next: 0,
+        reserved: [],
+        sent: []
+      }
+    }
+    return accounts[key]
+  }
+
+  /**
+   * Update the account state with the pending transaction count of the node.
+   * The nonces below the count are already used and forgotten.
+   *
+   * @param {object} account The account state.
+   * @param {number} count The pending transaction count.
+   * @returns {number[]} The nonce gaps.
+   */
+  function reconcile(account, count) {
+    account.next = Math.max(account.next, count)
+    account.reserved = account.reserved.filter(n => n >= count)
+    account.sent = account.sent.filter(n => n >= count)
+    return range(count, account.next).filter(
+      n => !account.reserved.includes(n) && !account.sent.includes(n)
+    )
+  }
+
+  /**
+   * Get the nonce gaps of an address.
+   *
+   * @param {string} address The address.
+   * @returns {Promise<number[]>} The nonces not used but below others in use.
+   */
+  function getGaps(address) {
+    const account = getAccount(address)
+    return web3.eth
+      .getTransactionCount(address, 'pending')
+      .then(count => reconcile(account, count))
+  }
+
+  /**
+   * Reserve the next nonce of an address. Gaps are filled first.
+   *
+   * @param {string} address The address.
+   * @returns {Promise<number>} The nonce.
+   */
+  function reserve(address) {
+    const account = getAccount(address)
+    const reservation = account.lock
+      .then(() => web3.eth.getTransactionCount(address, 'pending'))
+      .then(function (count) {
+        const gaps = reconcile(account, count)
+        const nonce = gaps.length ? gaps[0] : account.next
+        if (gaps.length) {
+          debug('Filling nonce gap %s of %s', nonce, address)
+        }
+        account.next = Math.max(account.next, nonce + 1)
+        account.reserved.push(nonce)
+        debug('Reserved nonce %s of %s', nonce, address)
+        return nonce
+      })
+    account.lock = reservation.catch(noop)
+    return reservation
+  }
+
+  /**
+   * Release a reserved nonce, i.e. when the transaction could not be signed or
+   * sent, so it can be handed out again. Sent nonces are not released.
+   *
+   * @param {string} address The address.
+   * @param {number} nonce The nonce.
+   */
+  function release(address, nonce) {
+    const account = getAccount(address)
+    if (!account.reserved.includes(nonce)) {
+      return
+    }
+    account.reserved = without(account.reserved, nonce)
+    if (nonce === account.next - 1) {
+      account.next = nonce
+    }
+    debug('Released nonce %s of %s', nonce, address)
+  }
+
+  /**
+   * Mark a nonce as used by a transaction already broadcast.
+   *
+   * @param {string} address The address.
+   * @param {number} nonce The nonce.
+   */
+  function confirm(address, nonce) {
+    const account = getAccount(address)
+    account.reserved = without(account.reserved, nonce)
+    if (!account.sent.includes(nonce)) {
+      account.sent.push(nonce)
+    }
+    account.next = Math.max(account.next, nonce + 1)
+  }
+
+  return {
+    confirm,
+    getGaps,
+    release,
+    reserve
+  }
+}
+
+module.exports = createNonceManager
@@ -0,0 +1,141 @@
+'use strict'
+
+const { default: Common } = require('ethereumjs-common')
+const { Transaction } = require('ethereumjs-tx')
+const {
+  ecsign,
+  privateToAddress,
+  toChecksumAddress,
+  toRpcSig
+} = require('ethereumjs-util')
+const Web3 = require('web3')
+
+const hdkey = require('./hdkey')
+
+const {
+  utils: { toHex }
+} = Web3
+
+// Accounts not bound to any node, as hashing messages needs no requests
+const { accounts } = new Web3().eth
+
+const toBuffer = hex => Buffer.from(hex.replace(/^0x/, ''), 'hex')
+
+/**
+ * A signer holds the keys of an account and signs for it. Any object with the
+ * following methods can be used as a signer, i.e. to sign with a hardware
+ * wallet or a remote service:
+ *
+ * - `getAddress()`: Resolves to the address of the account.
+ * - `signTransaction(transaction)`: Resolves to the signed raw transaction.
+ *   The transaction has all the fields set: `chainId`, `data`, `gas`,
+ *   `gasPrice`, `nonce`, `to` and `value`.
+ * - `signMessage(message)`: Resolves to the signature of the message.
+ *
+ * Signers holding keys in memory also have `destroy()` to wipe these.
+ */
+
+/**
+ * Check if an object is a signer.
+ *
+ * @param {any} signer The object to check.
+ * @returns {boolean} Whether it is a signer.
+ */
+const isSigner = signer =>
+  !!signer &&
+  typeof signer.getAddress === 'function' &&
+  typeof signer.signTransaction === 'function'
+
+/**
+ * Create a signer for a private key. The key is copied into a buffer that is
+ * zeroed by `destroy()`, after which the signer rejects all requests.
+ *
+ * @param {string} privateKey The private key as hex.
+ * @returns {object} The signer.
+ */
+function createPrivateKeySigner(privateKey) {
+  const key = toBuffer(privateKey)
+  const address = toChecksumAddress(
+    `0x${privateToAddress(key).toString('hex')}`
+  )
+  let destroyed = false
+
+  const withKey = fn =>
+    new Promise(function (resolve) {
+      if (destroyed) {
+        throw new Error('Signer was destroyed')
+      }
+      resolve(fn(key))
+    })
+
+  return {
+    destroy() {
+      key.fill(0)
+      destroyed = true
+    },
+    getAddress: () => Promise.resolve(address),
+    signMessage: message =>
+      withKey(function (k) {
+        const { r, s, v } = ecsign(toBuffer(accounts.hashMessage(message)), k)
+        return toRpcSig(v, r, s)
+      }),
+    signTransaction: ({ chainId, data, gas, gasPrice, nonce, to, value }) =>
+      withKey(function (k) {
+        const common = Common.forCustomChain(
+          'mainnet',
+          { chainId, networkId: chainId },
+          'petersburg'
+        )
+        const transaction = new Transaction(
+          {
+            data,
+            gasLimit: toHex(gas),
+            gasPrice: toHex(gasPrice),
+            nonce: toHex(nonce),
+            to,
+            value: toHex(value)
+          },
+          { common }
+        )
+        transaction.sign(k)
+        return `0x${transaction.serialize().toString('hex')}`
+      })
+  }
+}
+
+/**
+ * Create a signer for an address derived from a seed.
+ *
+ * @param {string} seed The seed as hex.
+ * @param {number} [index] The address index.
+ * @param {string} [path] The derivation path template.
+ * @returns {object} The signer.
+ */
+const createHdSigner = (seed, index, path) =>
+  createPrivateKeySigner(hdkey.getPrivateKey(seed, index, path))
+
+/**
+ * Get a signer for a signer or a private key. Private keys are wrapped in a
+ * single-use signer that is destroyed after signing one transaction.
+ *
+ * @param {object|string} signerOrKey The signer or the private key as hex.
+ * @returns {object} The signer.
+ */
+function toSigner(signerOrKey) {
+  if (isSigner(signerOrKey)) {
+    return signerOrKey
+  }
+
+  const signer = createPrivateKeySigner(signerOrKey)
+  return Object.assign({}, signer, {
+    signTransaction: transaction =>
+      signer.signTransaction(transaction).finally(signer.destroy)
+  })
+}
+
+module.exports = {
+  createHdSigner,
+  createPrivateKeySigner,
+  isSigner,
+  toSigner
+}
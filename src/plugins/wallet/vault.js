@@ -0,0 +1,153 @@
+'use strict'
+
+const crypto = require('crypto')
+const {
+  utils: { sha3 }
+} = require('web3')
+
+const cipherName = 'aes-128-ctr'
+
+const defaults = {
+  c: 262144,
+  dklen: 32,
+  kdf: 'scrypt',
+  n: 262144,
+  p: 1,
+  r: 8
+}
+
+/**
+ * Derive the encryption key from the password with the vault KDF.
+ *
+ * @param {string} password The password.
+ * @param {object} params The vault crypto params.
+ * @param {string} params.kdf The KDF: `scrypt` or `pbkdf2`.
+ * @param {object} params.kdfparams The KDF params and salt.
+ * @returns {Promise<Buffer>} The key.
+ */
+function deriveKey(password, { kdf, kdfparams }) {
+  const salt = Buffer.from(kdfparams.salt, 'hex')
+
+  return new Promise(function (resolve, reject) {
+    const callback = (err, key) => (err ? reject(err) : resolve(key))
+
+    if (kdf === 'scrypt') {
+      const { dklen, n, p, r } = kdfparams
+      crypto.scrypt(
+        password,
+        salt,
+        dklen,
+        { N: n, maxmem: 256 * n * r, p, r },
+        callback
+      )
+    } else if (kdf === 'pbkdf2') {
+      const { c, dklen } = kdfparams
+      crypto.pbkdf2(password, salt, c, dklen, 'sha256', callback)
+    } else {
+      reject(new Error(`Unsupported key derivation function ${kdf}`))
+    }
+  })
+}
+
+// The MAC is computed as in the Web3 Secret Storage v3 keystores
+const getMac = (key, ciphertext) =>
+  sha3(`0x${key.slice(16, 32).toString('hex')}${ciphertext}`).slice(2)
+
+/**
+ * Encrypt a seed with a password. The vault uses the same encryption as the
+ * Web3 Secret Storage v3 keystores so it can be stored by the host app as is.
+ *
+ * @param {string} seed The seed as hex.
+ * @param {string} password The password.
+ * @param {object} [options] The encryption options.
+ * @param {string} [options.kdf] The key derivation function: `scrypt` or
+ *   `pbkdf2`.
+ * @returns {Promise<object>} The vault.
+ */
+function createVault(seed, password, options = {}) {
+  const params = Object.assign({}, defaults, options)
+  const kdfparams =
+    params.kdf === 'pbkdf2'
+      ? { c: params.c, dklen: params.dklen, prf: 'hmac-sha256' }
+      : { dklen: params.dklen, n: params.n, p: params.p, r: params.r }
+  kdfparams.salt = crypto.randomBytes(32).toString('hex')
+
+  const vaultCrypto = { kdf: params.kdf, kdfparams }
+
+  return deriveKey(password, vaultCrypto).then(function (key) {
+    const iv = crypto.randomBytes(16)
+    const cipher = crypto.createCipheriv(cipherName, key.slice(0, 16), iv)
+    const ciphertext = Buffer.concat([
+      cipher.update(Buffer.from(seed, 'hex')),
+      cipher.final()
+    ]).toString('hex')
+
+    return {
+      crypto: Object.assign(vaultCrypto, {
+        cipher: cipherName,
+        cipherparams: { iv: iv.toString('hex') },
+        ciphertext,
+        mac: getMac(key, ciphertext)
+      }),
+      type: 'seed',
+      version: 1
+    }
+  })
+}
+
+/**
+ * Decrypt the seed of a vault.
+ *
+ * @param {string|object} vault The vault.
+ * @param {string} password The password.
+ * @returns {Promise<string>} The seed as hex.
+ */
+const openVault = (vault, password) =>
+  new Promise(resolve =>
+    resolve(typeof vault === 'string' ? JSON.parse(vault) : vault)
+  ).then(function (json) {
+    if (json.version !== 1 || json.type !== 'seed') {
+      throw new Error('Unsupported vault')
+    }
+    const { cipherparams, ciphertext, mac } = json.crypto
+    return deriveKey(password, json.crypto).then(function (key) {
+      const expected = Buffer.from(mac, 'hex')
+      const actual = Buffer.from(getMac(key, ciphertext), 'hex')
+      if (
+        expected.length !== actual.length ||
+        !crypto.timingSafeEqual(expected, actual)
+      ) {
+        throw new Error('Wrong password')
+      }
+
+      const decipher = crypto.createDecipheriv(
+        cipherName,
+        key.slice(0, 16),
+        Buffer.from(cipherparams.iv, 'hex')
+      )
+      return Buffer.concat([
+        decipher.update(Buffer.from(ciphertext, 'hex')),
+        decipher.final()
+      ]).toString('hex')
+    })
+  })
+
+/**
+ * Encrypt the seed of a vault with a new password.
+ *
+ * @param {string|object} vault The vault.
+ * @param {string} password The current password.
+ * @param {string} newPassword The new password.
+ * @param {object} [options] The encryption options as in `createVault()`.
+ * @returns {Promise<object>} The new vault.
+ */
+const changeVaultPassword = (vault, password, newPassword, options) =>
+  openVault(vault, password).then(seed =>
+    createVault(seed, newPassword, options)
+  )
+
+module.exports = {
+  changeVaultPassword,
+  createVault,
+  openVault
+}
@@ -0,0 +1,70 @@
+'use strict'
+
+/**
+ * Sort plugin instances so every plugin comes after the ones it depends on.
+ *
+ * The relative order of the given list is kept as much as possible. Plugins
+ * without a name cannot be depended upon but are sorted as well.
+ *
+ * @param {object[]} plugins The plugin instances.
+ * @param {string[]} [available] Names of plugins already started, that can be
+ *   depended upon.
+ * @returns {object[]} The plugin instances in start order.
+ */
+function sortPlugins(plugins, available = []) {
+  const byName = {}
+  plugins.forEach(function (plugin) {
+    if (plugin.name) {
+      byName[plugin.name] = plugin
+    }
+  })
+
+  const sorted = []
+  const visiting = new Set()
+  const visited = new Set()
+
+  /**
+   * Add a plugin to the sorted list after its dependencies.
+   *
+   * @param {object} plugin The plugin.
+   * @param {string[]} path The names of the plugins depending on this one.
+   */
+  function visit(plugin, path) {
+    if (visited.has(plugin)) {
+      return
+    }
+
+    const name = plugin.name || '(anonymous)'
+
+    if (visiting.has(plugin)) {
+      const cycle = path.slice(path.indexOf(name)).concat(name)
+      throw new Error(`Circular plugin dependency: ${cycle.join(' -> ')}`)
+    }
+
+    visiting.add(plugin)
+
+    const dependencies = plugin.dependencies || []
+    dependencies.forEach(function (dependencyName) {
+      if (available.includes(dependencyName)) {
+        return
+      }
+      const dependency = byName[dependencyName]
+      if (!dependency) {
+        throw new Error(
+          `Plugin ${name} depends on missing plugin ${dependencyName}`
+        )
+      }
+      visit(dependency, path.concat(name))
+    })
+
+    visiting.delete(plugin)
+    visited.add(plugin)
+    sorted.push(plugin)
+  }
+
+  plugins.forEach(plugin => visit(plugin, []))
+
+  return sorted
+}
+
+module.exports = sortPlugins
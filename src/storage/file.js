@@ -0,0 +1,68 @@
+'use strict'
+
+const { cloneDeep, noop } = require('lodash')
+const fs = require('fs')
+
+/**
+ * Create a storage adapter that keeps all the data in a JSON file.
+ *
+ * The file is read once and written after each change. Writes are done to a
+ * temporary file first so a crash will not leave the file corrupted.
+ *
+ * @param {string} filePath The path of the JSON file.
+ * @returns {object} The storage adapter.
+ */
+function createFileStorage(filePath) {
+  let dataPromise
+  let writing = Promise.resolve()
+
+  /**
+   * Read the file, only once.
+   *
+   * @returns {Promise<object>} The stored data.
+   */
+  function load() {
+    if (!dataPromise) {
+      dataPromise = fs.promises
+        .readFile(filePath, 'utf8')
+        .then(JSON.parse)
+        .catch(err => (err.code === 'ENOENT' ? {} : Promise.reject(err)))
+    }
+    return dataPromise
+  }
+
+  /**
+   * Write the data to the file after the pending writes.
+   *
+   * @param {object} data The data to store.
+   * @returns {Promise} Resolves when written.
+   */
+  function persist(data) {
+    const tmpPath = `${filePath}.tmp`
+    const json = JSON.stringify(data)
+
+    // A failed write shall not prevent the next ones
+    writing = writing
+      .catch(noop)
+      .then(() => fs.promises.writeFile(tmpPath, json))
+      .then(() => fs.promises.rename(tmpPath, filePath))
+
+    return writing
+  }
+
+  return {
+    get: key => load().then(data => cloneDeep(data[key])),
+    remove: key =>
+      load().then(function (data) {
+        delete data[key]
+        return persist(data)
+      }),
+    set: (key, value) =>
+      load().then(function (data) {
+        data[key] = cloneDeep(value)
+        return persist(data)
+      })
+  }
+}
+
+module.exports = createFileStorage
@@ -0,0 +1,9 @@
+'use strict'
+
+const createFileStorage = require('./file')
+const createMemoryStorage = require('./memory')
+
+module.exports = {
+  createFileStorage,
+  createMemoryStorage
+}
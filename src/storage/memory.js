@@ -0,0 +1,27 @@
+'use strict'
+
+const { cloneDeep } = require('lodash')
+
+/**
+ * Create a storage adapter that keeps the data in memory. Useful for tests or
+ * when the history shall not survive a restart.
+ *
+ * @returns {object} The storage adapter.
+ */
+function createMemoryStorage() {
+  const data = new Map()
+
+  return {
+    get: key => Promise.resolve(cloneDeep(data.get(key))),
+    remove(key) {
+      data.delete(key)
+      return Promise.resolve()
+    },
+    set(key, value) {
+      data.set(key, cloneDeep(value))
+      return Promise.resolve()
+    }
+  }
+}
+
+module.exports = createMemoryStorage
@@ -0,0 +1,7 @@
+'use strict'
+
+const createMockChain = require('./mock-chain')
+
+module.exports = {
+  createMockChain
+}
@@ -0,0 +1,556 @@
+'use strict'
+
+const { castArray, cloneDeep, sumBy } = require('lodash')
+const { default: Common } = require('ethereumjs-common')
+const EventEmitter = require('events')
+const { Transaction } = require('ethereumjs-tx')
+const {
+  utils: { hexToNumber, numberToHex, sha3, toHex }
+} = require('web3')
+
+const zeroAddress = `0x${'0'.repeat(40)}`
+const zeroHash = `0x${'0'.repeat(64)}`
+
+const toHexString = buffer => `0x${buffer.toString('hex')}`
+const toQuantity = buffer => toHex(`0x${buffer.toString('hex') || '0'}`)
+
+// A transfer costs 21000 gas plus 4 per zero and 16 per non-zero data byte.
+// Contract calls are expected to need no more than that.
+const getGasUsed = ({ gas, input }) =>
+  Math.min(
+    hexToNumber(gas),
+    (input.replace(/^0x/, '').match(/../g) || []).reduce(
+      (total, byte) => total + (byte === '00' ? 4 : 16),
+      21000
+    )
+  )
+
+const matchesTopics = (topics, filterTopics = []) =>
+  filterTopics.every(
+    (filterTopic, i) =>
+      filterTopic === null ||
+      castArray(filterTopic)
+        .map(topic => topic.toLowerCase())
+        .includes((topics[i] || '').toLowerCase())
+  )
+
+const matchesAddress = (address, filterAddress) =>
+  !filterAddress ||
+  castArray(filterAddress)
+    .map(a => a.toLowerCase())
+    .includes(address.toLowerCase())
+
+/**
+ * Create an error to respond a JSON-RPC request with.
+ *
+ * @param {number} code The JSON-RPC error code.
+ * @param {string} message The error message.
+ * @returns {Error} The error.
+ */
+function rpcError(code, message) {
+  const err = new Error(message)
+  err.code = code
+  return err
+}
+
+/**
+ * Create an in-memory chain and a provider to connect Web3 to it. Blocks are
+ * only mined when requested, so the chain is deterministic: block hashes and
+ * timestamps depend only on the block number and the reorgs done.
+ *
+ * The provider supports the `newHeads` and `logs` subscriptions, answers the
+ * usual read methods and can be disconnected or reconnected at will. Any other
+ * method, or the default behavior of a supported one like `eth_call`, can be
+ * set with `setHandler()`.
+ *
+ * @param {object} [options] The options.
+ * @param {number} [options.blockTime] Seconds between blocks.
+ * @param {number} [options.chainId] The chain ID.
+ * @param {number} [options.delay] Milliseconds to wait before responding.
+ * @param {object} [options.handlers] Handlers of methods by name.
+ * @param {number} [options.startTime] The genesis block timestamp.
+ * @param {boolean} [options.subscriptions] Whether subscriptions are supported.
+ * @returns {object} The mock chain.
+ */
+function createMockChain({
+  blockTime = 15,
+  chainId = 3,
+  delay = 0,
+  handlers = {},
+  startTime = 1600000000,
+  subscriptions = true
+} = {}) {
+  const provider = new EventEmitter()
+
+  const balances = {}
+  const blocks = []
+  const customHandlers = Object.assign({}, handlers)
+  const pendingTransactions = []
+  const receipts = {}
+  const subscribers = new Map()
+  const transactions = {}
+
+  let forks = 0
+  let subscriptionId = 0
+
+  provider.connected = true
+
+  // Blocks
+
+  /**
+   * Create a block and the receipts of its transactions.
+   *
+   * @param {number} number The block number.
+   * @param {object} [contents] The block contents.
+   * @param {object[]} [contents.logs] The logs.
+   * @param {object[]} [contents.transactions] The transactions.
+   * @returns {object} The block header, logs and transactions.
+   */
+  function createBlock(number, { logs = [], transactions: txs = [] } = {}) {
+    const hash = sha3(`${chainId}:${number}:${forks}`)
+    const parent = blocks[number - 1]
+
+    const blockTxs = txs.map(function (tx, transactionIndex) {
+      const transaction = Object.assign(
+        {
+          from: zeroAddress,
+          gas: '0x5208',
+          gasPrice: '0x1',
+          input: '0x',
+          nonce: '0x0',
+          to: zeroAddress,
+          value: '0x0'
+        },
+        tx,
+        {
+          blockHash: hash,
+          blockNumber: numberToHex(number),
+          hash: tx.hash || sha3(`${hash}:${transactionIndex}`),
+          transactionIndex: numberToHex(transactionIndex)
+        }
+      )
+      transactions[transaction.hash] = transaction
+      return transaction
+    })
+
+    const blockLogs = logs.map(function (log, logIndex) {
+      const transaction = blockTxs[log.transactionIndex || 0]
+      return Object.assign(
+        { address: zeroAddress, data: '0x', topics: [] },
+        log,
+        {
+          blockHash: hash,
+          blockNumber: numberToHex(number),
+          logIndex: numberToHex(logIndex),
+          removed: false,
+          transactionHash: transaction
+            ? transaction.hash
+            : sha3(`${hash}:log:${logIndex}`),
+          transactionIndex: numberToHex(log.transactionIndex || 0)
+        }
+      )
+    })
+
+    let cumulativeGasUsed = 0
+    blockTxs.forEach(function (transaction, i) {
+      const gasUsed = getGasUsed(transaction)
+      cumulativeGasUsed += gasUsed
+      receipts[transaction.hash] = {
+        blockHash: hash,
+        blockNumber: numberToHex(number),
+        contractAddress: null,
+        cumulativeGasUsed: numberToHex(cumulativeGasUsed),
+        from: transaction.from,
+        gasUsed: numberToHex(gasUsed),
+        logs: blockLogs.filter(log => log.transactionHash === transaction.hash),
+        logsBloom: `0x${'0'.repeat(512)}`,
+        status: '0x1',
+        to: transaction.to,
+        transactionHash: transaction.hash,
+        transactionIndex: numberToHex(i)
+      }
+    })
+
+    return {
+      header: {
+        difficulty: '0x1',
+        extraData: '0x',
+        gasLimit: '0x7a1200',
+        gasUsed: numberToHex(cumulativeGasUsed),
+        hash,
+        logsBloom: `0x${'0'.repeat(512)}`,
+        miner: zeroAddress,
+        nonce: '0x0000000000000000',
+        number: numberToHex(number),
+        parentHash: parent ? parent.header.hash : zeroHash,
+        receiptsRoot: zeroHash,
+        sha3Uncles: zeroHash,
+        size: '0x0',
+        stateRoot: zeroHash,
+        timestamp: numberToHex(startTime + number * blockTime),
+        totalDifficulty: numberToHex(number + 1),
+        transactionsRoot: zeroHash
+      },
+      logs: blockLogs,
+      transactions: blockTxs
+    }
+  }
+
+  const latestNumber = () => blocks.length - 1
+
+  /**
+   * Get the number of a block by its tag or hex number.
+   *
+   * @param {string} [tag] The block tag or number. Defaults to `latest`.
+   * @returns {number} The block number.
+   */
+  function toBlockNumber(tag) {
+    if (tag === undefined || tag === 'latest' || tag === 'pending') {
+      return latestNumber()
+    }
+    if (tag === 'earliest') {
+      return 0
+    }
+    return hexToNumber(tag)
+  }
+
+  const formatBlock = (block, full) =>
+    Object.assign({}, block.header, {
+      transactions: full
+        ? block.transactions
+        : block.transactions.map(tx => tx.hash),
+      uncles: []
+    })
+
+  // Subscriptions
+
+  /**
+   * Send a notification to the matching subscribers.
+   *
+   * @param {string} type The subscription type, `newHeads` or `logs`.
+   * @param {object} result The notification result.
+   * @param {Function} [filter] Checks the params of each subscriber.
+   */
+  function notify(type, result, filter = () => true) {
+    subscribers.forEach(function (subscriber, id) {
+      if (subscriber.type !== type || !filter(subscriber.params)) {
+        return
+      }
+      const data = {
+        jsonrpc: '2.0',
+        method: 'eth_subscription',
+        params: { result: cloneDeep(result), subscription: id }
+      }
+      setTimeout(function () {
+        if (provider.connected && subscribers.has(id)) {
+          provider.emit('data', data)
+        }
+      }, delay)
+    })
+  }
+
+  const logFilter =
+    log =>
+    (params = {}) =>
+      matchesAddress(log.address, params.address) &&
+      matchesTopics(log.topics, params.topics)
+
+  /**
+   * Notify a new block and its logs.
+   *
+   * @param {object} block The block.
+   */
+  function notifyBlock(block) {
+    notify('newHeads', block.header)
+    block.logs.forEach(function (log) {
+      notify('logs', log, logFilter(log))
+    })
+  }
+
+  // JSON-RPC methods
+
+  /**
+   * Get the logs matching a filter.
+   *
+   * @param {object} filter The `eth_getLogs` filter.
+   * @param {string|string[]} [filter.address] The contract addresses.
+   * @param {string} [filter.blockHash] The block hash.
+   * @param {string} [filter.fromBlock] The first block.
+   * @param {string} [filter.toBlock] The last block.
+   * @param {Array} [filter.topics] The topics.
+   * @returns {object[]} The logs.
+   */
+  function getLogs({ address, blockHash, fromBlock, toBlock, topics }) {
+    const from = blockHash ? 0 : toBlockNumber(fromBlock)
+    const to = blockHash ? latestNumber() : toBlockNumber(toBlock)
+    return blocks
+      .slice(from, to + 1)
+      .filter(block => !blockHash || block.header.hash === blockHash)
+      .reduce((logs, block) => logs.concat(block.logs), [])
+      .filter(log => logFilter(log)({ address, topics }))
+  }
+
+  const isFrom = address => tx =>
+    tx.from.toLowerCase() === address.toLowerCase()
+
+  // Pending transactions are counted only if the `pending` tag is given
+  const countTransactions = (address, tag) =>
+    sumBy(
+      blocks.slice(0, toBlockNumber(tag) + 1),
+      block => block.transactions.filter(isFrom(address)).length
+    ) +
+    (tag === 'pending' ? pendingTransactions.filter(isFrom(address)).length : 0)
+
+  /**
+   * Decode a signed transaction and add it to the pending ones.
+   *
+   * @param {string} raw The signed transaction as hex.
+   * @returns {string} The transaction hash.
+   */
+  function sendRawTransaction(raw) {
+    const common = Common.forCustomChain(
+      'mainnet',
+      { chainId, networkId: chainId },
+      'petersburg'
+    )
+    let decoded
+    try {
+      decoded = new Transaction(raw, { common })
+    } catch (err) {
+      throw rpcError(-32000, `Invalid transaction: ${err.message}`)
+    }
+    if (!decoded.verifySignature()) {
+      throw rpcError(-32000, 'Invalid transaction signature')
+    }
+
+    const transaction = {
+      blockHash: null,
+      blockNumber: null,
+      from: toHexString(decoded.getSenderAddress()),
+      gas: toQuantity(decoded.gasLimit),
+      gasPrice: toQuantity(decoded.gasPrice),
+      hash: toHexString(decoded.hash()),
+      input: toHexString(decoded.data),
+      nonce: toQuantity(decoded.nonce),
+      to: decoded.to.length ? toHexString(decoded.to) : null,
+      transactionIndex: null,
+      value: toQuantity(decoded.value)
+    }
+
+    const expectedNonce = countTransactions(transaction.from, 'pending')
+    if (hexToNumber(transaction.nonce) < expectedNonce) {
+      throw rpcError(-32000, 'nonce too low')
+    }
+
+    pendingTransactions.push(transaction)
+    return transaction.hash
+  }
+
+  const methods = {
+    eth_blockNumber: () => numberToHex(latestNumber()),
+    eth_call: () => '0x',
+    eth_chainId: () => numberToHex(chainId),
+    eth_estimateGas: () => '0x5208',
+    eth_gasPrice: () => '0x1',
+    eth_getBalance: address => balances[address.toLowerCase()] || '0x0',
+    eth_getBlockByHash(hash, full) {
+      const block = blocks.find(b => b.header.hash === hash)
+      return block ? formatBlock(block, full) : null
+    },
+    eth_getBlockByNumber(tag, full) {
+      const block = blocks[toBlockNumber(tag)]
+      return block ? formatBlock(block, full) : null
+    },
+    eth_getLogs: getLogs,
+    eth_getTransactionByHash: hash =>
+      transactions[hash] ||
+      pendingTransactions.find(tx => tx.hash === hash) ||
+      null,
+    eth_getTransactionCount: (address, tag) =>
+      numberToHex(countTransactions(address, tag)),
+    eth_getTransactionReceipt: hash => receipts[hash] || null,
+    eth_sendRawTransaction: sendRawTransaction,
+    eth_subscribe(type, params) {
+      if (!subscriptions) {
+        throw rpcError(-32601, 'Subscriptions are not supported')
+      }
+      if (!['logs', 'newHeads'].includes(type)) {
+        throw rpcError(-32602, `Unsupported subscription ${type}`)
+      }
+      subscriptionId += 1
+      const id = toHex(subscriptionId)
+      subscribers.set(id, { params, type })
+      return id
+    },
+    eth_syncing: () => false,
+    eth_unsubscribe: id => subscribers.delete(id),
+    net_peerCount: () => '0x1',
+    net_version: () => chainId.toString()
+  }
+
+  /**
+   * Respond a JSON-RPC request.
+   *
+   * @param {object} payload The request.
+   * @returns {object} The response.
+   */
+  function respond(payload) {
+    const handler = customHandlers[payload.method] || methods[payload.method]
+    const base = { id: payload.id, jsonrpc: '2.0' }
+    if (!handler) {
+      return Object.assign(base, {
+        error: { code: -32601, message: `Method ${payload.method} not found` }
+      })
+    }
+    // Web3 formats the results in place so the chain data is never shared
+    try {
+      const result = handler(...(payload.params || []))
+      return Object.assign(base, { result: cloneDeep(result) })
+    } catch (err) {
+      return Object.assign(base, {
+        error: { code: err.code || -32000, message: err.message }
+      })
+    }
+  }
+
+  /**
+   * Send a JSON-RPC request or a batch of requests.
+   *
+   * @param {object|object[]} payload The request.
+   * @param {Function} callback Called with the error or the response.
+   */
+  provider.send = function (payload, callback) {
+    setTimeout(function () {
+      if (!provider.connected) {
+        callback(new Error('connection not open on send()'))
+        return
+      }
+      callback(
+        null,
+        Array.isArray(payload) ? payload.map(respond) : respond(payload)
+      )
+    }, delay)
+  }
+
+  provider.supportsSubscriptions = () => subscriptions
+
+  provider.disconnect = function (code = 1000, reason = '') {
+    provider.connected = false
+    subscribers.clear()
+    provider.emit('close', { code, reason, wasClean: true })
+  }
+
+  provider.reset = function () {
+    provider.removeAllListeners()
+    subscribers.clear()
+  }
+
+  // Chain control
+
+  /**
+   * Mine a new block with the given transactions and logs. The pending
+   * transactions sent to the provider are included too.
+   *
+   * Logs are added to the transaction at their `transactionIndex`.
+   *
+   * @param {object} [contents] The block contents.
+   * @param {object[]} [contents.logs] The logs.
+   * @param {object[]} [contents.transactions] The transactions.
+   * @returns {object} The block header.
+   */
+  function mine({ logs = [], transactions: txs = [] } = {}) {
+    const block = createBlock(blocks.length, {
+      logs,
+      transactions: pendingTransactions.splice(0).concat(txs)
+    })
+    blocks.push(block)
+    notifyBlock(block)
+    return block.header
+  }
+
+  /**
+   * Replace the latest blocks with new ones. The logs in the replaced blocks
+   * are notified again as `removed`.
+   *
+   * @param {number} depth The number of blocks to replace.
+   * @param {object[]} [replacements] The contents of the new blocks.
+   * @returns {object} The new latest block header.
+   */
+  function reorg(depth, replacements = []) {
+    const removed = blocks.splice(blocks.length - depth, depth)
+    removed.forEach(function (block) {
+      block.logs.forEach(function (log) {
+        const removedLog = Object.assign({}, log, { removed: true })
+        notify('logs', removedLog, logFilter(log))
+      })
+      block.transactions.forEach(function (transaction) {
+        delete receipts[transaction.hash]
+        delete transactions[transaction.hash]
+      })
+    })
+    forks += 1
+    for (let i = 0; i < depth; i++) {
+      const block = createBlock(blocks.length, replacements[i])
+      blocks.push(block)
+      notifyBlock(block)
+    }
+    return blocks[blocks.length - 1].header
+  }
+
+  /**
+   * Drop the connection as if the node went down. All subscriptions are lost.
+   */
+  function disconnect() {
+    provider.connected = false
+    subscribers.clear()
+    provider.emit('close', {
+      code: 1006,
+      reason: 'Connection dropped',
+      wasClean: false
+    })
+  }
+
+  /**
+   * Restore the connection.
+   */
+  function reconnect() {
+    provider.connected = true
+    provider.emit('connect')
+  }
+
+  /**
+   * Set the balance of an address.
+   *
+   * @param {string} address The address.
+   * @param {string|number} balance The balance in wei.
+   */
+  function setBalance(address, balance) {
+    balances[address.toLowerCase()] = toHex(balance)
+  }
+
+  /**
+   * Set the handler of a method, replacing the default one.
+   *
+   * @param {string} method The JSON-RPC method.
+   * @param {Function} handler Called with the params. Returns the result.
+   */
+  function setHandler(method, handler) {
+    customHandlers[method] = handler
+  }
+
+  // Genesis
+  blocks.push(createBlock(0))
+
+  return {
+    disconnect,
+    getBlock: number => formatBlock(blocks[toBlockNumber(number)], true),
+    mine,
+    provider,
+    reconnect,
+    reorg,
+    setBalance,
+    setHandler
+  }
+}
+
+module.exports = createMockChain
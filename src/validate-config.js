@@ -0,0 +1,200 @@
+'use strict'
+
+const { isEqual, isInteger, isPlainObject } = require('lodash')
+
+const { getChainConfig } = require('./chain-config')
+const { WalletError } = require('./errors')
+
+const typeChecks = {
+  array: Array.isArray,
+  boolean: value => typeof value === 'boolean',
+  integer: isInteger,
+  number: value => typeof value === 'number' && Number.isFinite(value),
+  object: isPlainObject,
+  string: value => typeof value === 'string' && value.length > 0,
+  url(value) {
+    try {
+      return !!new URL(value)
+    } catch (err) {
+      return false
+    }
+  }
+}
+
+// Each check returns the error message if the value does not match the rule
+const ruleChecks = [
+  (value, { type }) =>
+    type && !typeChecks[type](value)
+      ? `must be ${/^[aeiou]/.test(type) ? 'an' : 'a'} ${type}`
+      : undefined,
+  (value, { min }) =>
+    min !== undefined && value < min
+      ? `must be greater than or equal to ${min}`
+      : undefined,
+  (value, { max }) =>
+    max !== undefined && value > max
+      ? `must be less than or equal to ${max}`
+      : undefined,
+  (value, { protocols }) =>
+    protocols && !protocols.includes(new URL(value).protocol)
+      ? `must use one of the protocols ${protocols.join(', ')}`
+      : undefined,
+  (value, { values }) =>
+    values && !values.includes(value)
+      ? `must be one of ${values.join(', ')}`
+      : undefined,
+  (value, { check }, config) => (check ? check(value, config) : undefined)
+]
+
+/**
+ * Check a single config value against a schema rule.
+ *
+ * A rule is an object with the following optional properties:
+ * - `type`: One of `array`, `boolean`, `integer`, `number`, `object`, `string`
+ *   or `url`.
+ * - `min` and `max`: The range for numeric values.
+ * - `optional`: Whether the value can be undefined or null.
+ * - `protocols`: The accepted protocols of a URL i.e. `['ws:', 'wss:']`.
+ * - `values`: The list of accepted values.
+ * - `check`: A function called with the value and the whole config that
+ *   returns an error message if the value is invalid.
+ * - `runtime`: Whether the value can be changed while running, i.e. because
+ *   the plugin applies it in its `reconfigure` method.
+ *
+ * @param {any} value The config value.
+ * @param {object} rule The schema rule.
+ * @param {object} config The whole config.
+ * @returns {string|undefined} The error message if the value is invalid.
+ */
+function checkRule(value, rule, config) {
+  if (value === undefined || value === null) {
+    return rule.optional ? undefined : 'is required'
+  }
+  return ruleChecks.reduce(
+    (message, ruleCheck) => message || ruleCheck(value, rule, config),
+    undefined
+  )
+}
+
+/**
+ * Check a config against the rules of all schemas.
+ *
+ * @param {object} config The config, including the default values.
+ * @param {object} rules The rules of each key.
+ * @param {object} givenConfig The config set by the user.
+ * @returns {object[]} The `key` and `message` of each invalid value.
+ */
+function getErrors(config, rules, givenConfig) {
+  const errors = []
+
+  Object.keys(givenConfig)
+    .filter(key => !rules[key])
+    .forEach(function (key) {
+      errors.push({ key, message: 'is not a known config key' })
+    })
+
+  Object.keys(rules).forEach(function (key) {
+    const message = rules[key]
+      .map(rule => checkRule(config[key], rule, config))
+      .find(m => !!m)
+    if (message) {
+      errors.push({ key, message })
+    }
+  })
+
+  return errors
+}
+
+/**
+ * Check that only the values flagged as `runtime` changed, as the plugins do
+ * not apply the others until restarted.
+ *
+ * @param {object} config The new config.
+ * @param {object} previousConfig The running config.
+ * @param {object} rules The rules of each key.
+ * @param {object} givenConfig The config keys to change.
+ * @returns {object[]} The `key` and `message` of each value changed.
+ */
+function getRuntimeErrors(config, previousConfig, rules, givenConfig) {
+  const isChanged = (key, current, previous) =>
+    !isEqual(current[key], previous[key]) &&
+    !(rules[key] || []).some(rule => rule.runtime)
+  const message = 'cannot be changed while running'
+
+  const errors = Object.keys(givenConfig)
+    .filter(key => key !== 'chains')
+    .filter(key => isChanged(key, config, previousConfig))
+    .map(key => ({ key, message }))
+
+  const { chains = [] } = givenConfig
+  chains.forEach(function (given) {
+    const i = config.chains.findIndex(c => c.chainId === given.chainId)
+    const previous = previousConfig.chains.find(
+      c => c.chainId === given.chainId
+    )
+    Object.keys(given)
+      .filter(key => isChanged(key, config.chains[i], previous))
+      .forEach(function (key) {
+        errors.push({ key: `chains[${i}].${key}`, message })
+      })
+  })
+
+  return errors
+}
+
+/**
+ * Validate the config against the given schemas.
+ *
+ * All values in the config are checked against the rules for that key in all
+ * schemas and all keys set by the user must be declared in a schema. If the
+ * config has a list of `chains`, the config of each chain is validated too.
+ * If the running config is given, the values not flagged as `runtime` cannot
+ * change.
+ *
+ * @param {object} config The config, including the default values.
+ * @param {object[]} schemas The schemas of the core and all plugins.
+ * @param {object} [givenConfig] The config set by the user.
+ * @param {object} [previousConfig] The running config, when reconfiguring.
+ * @returns {object} The config.
+ * @throws {Error} An error listing all invalid config keys in `errors`.
+ */
+function validateConfig(config, schemas, givenConfig = {}, previousConfig) {
+  const rules = {}
+  schemas.forEach(function (schema) {
+    Object.keys(schema).forEach(function (key) {
+      rules[key] = (rules[key] || []).concat(schema[key])
+    })
+  })
+
+  const errors = getErrors(config, rules, givenConfig)
+
+  if (Array.isArray(config.chains) && !errors.find(e => e.key === 'chains')) {
+    config.chains.forEach(function (chain, i) {
+      getErrors(getChainConfig(config, chain), rules, chain).forEach(function ({
+        key,
+        message
+      }) {
+        errors.push({ key: `chains[${i}].${key}`, message })
+      })
+    })
+  }
+
+  if (previousConfig && !errors.length) {
+    errors.push(...getRuntimeErrors(config, previousConfig, rules, givenConfig))
+  }
+
+  if (errors.length) {
+    const list = errors.map(({ key, message }) => `${key} ${message}`)
+    const err = new WalletError(
+      'CONFIG_INVALID',
+      `Invalid config: ${list.join(', ')}`,
+      { meta: { errors } }
+    )
+    err.errors = errors
+    throw err
+  }
+
+  return config
+}
+
+module.exports = validateConfig
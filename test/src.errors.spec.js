@@ -0,0 +1,46 @@
+'use strict'
+
+const chai = require('chai')
+const chaiAsPromised = require('chai-as-promised')
+
+const { WalletError, wrapApi } = require('../src/errors')
+
+chai.use(chaiAsPromised).should()
+
+describe('Wallet errors', function () {
+  it('should set the properties of the error code', function () {
+    const inner = new Error('Fake')
+    const err = new WalletError('SYNC_EVENT_FAILED', 'Sync failed', {
+      inner,
+      meta: { eventName: 'Transfer', plugin: 'explorer' }
+    })
+    err.should.be.an.instanceOf(Error)
+    err.should.include({
+      code: 'SYNC_EVENT_FAILED',
+      inner,
+      message: 'Sync failed',
+      retryable: true,
+      severity: 'error'
+    })
+    err.meta.eventName.should.equal('Transfer')
+  })
+
+  it('should reject API calls with wallet errors', function () {
+    const api = wrapApi(
+      {
+        getName: () => 'name',
+        send: () => Promise.reject(new Error('Fake'))
+      },
+      'fake',
+      { send: 'TRANSACTION_FAILED' }
+    )
+    api.getName().should.equal('name')
+    return api
+      .send()
+      .should.be.rejectedWith(WalletError, 'Fake')
+      .then(function (err) {
+        err.code.should.equal('TRANSACTION_FAILED')
+        err.meta.should.deep.equal({ method: 'send', plugin: 'fake' })
+      })
+  })
+})
@@ -0,0 +1,482 @@
+'use strict'
+
+const chai = require('chai')
+const chaiAsPromised = require('chai-as-promised')
+const { noop } = require('lodash')
+
+const createCore = require('../src')
+const { createMockChain } = require('../src/testing')
+const createEthPlugin = require('../src/plugins/eth')
+
+const should = chai.use(chaiAsPromised).should()
+
+const createFakePlugin = (name, dependencies, hooks = {}) =>
+  function () {
+    return {
+      configSchema: hooks.configSchema,
+      dependencies,
+      name,
+      perChain: hooks.perChain,
+      reconfigure: hooks.reconfigure,
+      start:
+        hooks.start || (() => ({ api: { name }, events: [`${name}-event`] })),
+      stop: hooks.stop || (() => null)
+    }
+  }
+
+describe('Core', function () {
+  it('should start plugins in dependency order', function () {
+    const started = []
+    const track = name =>
+      function () {
+        started.push(name)
+        return { api: {} }
+      }
+
+    const core = createCore({
+      plugins: [
+        createFakePlugin('b', ['a'], { start: track('b') }),
+        createFakePlugin('a', [], { start: track('a') })
+      ]
+    })
+    core.start()
+    started.should.deep.equal(['a', 'b'])
+    return core.stop()
+  })
+
+  it('should replace a plugin with the same name', function () {
+    const core = createCore({ plugins: [createFakePlugin('a')] }).use(
+      createFakePlugin('a', [], { start: () => ({ api: { v: 2 } }) })
+    )
+    const { api } = core.start()
+    api.a.should.deep.equal({ v: 2 })
+    return core.stop()
+  })
+
+  it('should wait for async plugins and emit core-ready', function () {
+    const core = createCore({
+      plugins: [
+        createFakePlugin('a', [], {
+          start: () =>
+            new Promise(resolve => setTimeout(resolve, 10)).then(() => ({
+              api: { async: true },
+              events: ['a-event']
+            }))
+        }),
+        createFakePlugin('b', ['a'], {
+          start: ({ plugins }) => ({
+            api: { sawA: plugins.a.async },
+            ready: Promise.resolve()
+          })
+        })
+      ]
+    })
+
+    const { emitter } = core.start()
+
+    let coreReady = false
+    emitter.on('core-ready', function () {
+      coreReady = true
+    })
+
+    return core.ready().then(function ({ api, events }) {
+      coreReady.should.equal(true)
+      api.b.sawA.should.equal(true)
+      events.should.include('a-event')
+      return core.stop()
+    })
+  })
+
+  it('should report a plugin that fails to get ready', function () {
+    const core = createCore({
+      plugins: [
+        createFakePlugin('a', [], {
+          start: () => ({ ready: Promise.reject(new Error('Fake')) })
+        })
+      ]
+    })
+
+    const { emitter } = core.start()
+
+    let reported
+    emitter.on('wallet-error', function (err) {
+      reported = err
+    })
+
+    return core
+      .ready()
+      .should.be.rejectedWith('Plugin a failed to start')
+      .then(function () {
+        reported.code.should.equal('PLUGIN_START_FAILED')
+        reported.meta.plugin.should.equal('a')
+        reported.inner.message.should.equal('Fake')
+      })
+  })
+
+  it('should report a plugin that throws when starting', function () {
+    const stopped = []
+    const core = createCore({
+      plugins: [
+        createFakePlugin('a', [], { stop: () => stopped.push('a') }),
+        createFakePlugin('b', ['a'], {
+          start() {
+            throw new Error('Fake')
+          }
+        })
+      ]
+    })
+
+    try {
+      core.start()
+    } catch (err) {
+      err.code.should.equal('PLUGIN_START_FAILED')
+      err.message.should.equal('Plugin b failed to start: Fake')
+      return new Promise(resolve => setTimeout(resolve, 0)).then(function () {
+        stopped.should.deep.equal(['a'])
+        return core.ready().should.be.rejectedWith('not initialized')
+      })
+    }
+    return should.fail('Core should not start')
+  })
+
+  it('should stop the started plugins if one fails to start', function () {
+    const stopped = []
+    let attempts = 0
+    const core = createCore({
+      plugins: [
+        createFakePlugin('a', [], { stop: () => stopped.push('a') }),
+        createFakePlugin('b', ['a'], { stop: () => stopped.push('b') }),
+        createFakePlugin('c', ['b'], {
+          stop: () => stopped.push('c'),
+          start() {
+            attempts += 1
+            return attempts === 1
+              ? Promise.reject(new Error('Fake'))
+              : Promise.resolve({ api: {} })
+          }
+        })
+      ]
+    })
+
+    core.start()
+
+    return core
+      .ready()
+      .should.be.rejectedWith('Plugin c failed to start')
+      .then(function () {
+        stopped.should.deep.equal(['b', 'a'])
+        core.start()
+        return core.ready()
+      })
+      .then(() => core.stop())
+      .then(function () {
+        stopped.should.deep.equal(['b', 'a', 'c', 'b', 'a'])
+      })
+  })
+
+  it('should report the plugins not ready in time', function () {
+    const stopped = []
+    const core = createCore({
+      plugins: [
+        createFakePlugin('a', [], {
+          start: () => ({ ready: Promise.resolve() })
+        }),
+        createFakePlugin('b', ['a'], {
+          start: () => ({ ready: new Promise(noop) }),
+          stop: () => stopped.push('b')
+        })
+      ]
+    })
+
+    const { emitter } = core.start({ readyTimeoutMs: 10 })
+
+    let reported
+    emitter.on('wallet-error', function (err) {
+      reported = err
+    })
+
+    return core
+      .ready()
+      .should.be.rejectedWith('Plugins not ready after 10 ms: b')
+      .then(function () {
+        reported.code.should.equal('PLUGIN_NOT_READY')
+        reported.meta.plugins.should.deep.equal(['b'])
+        stopped.should.have.lengthOf(0)
+        return core.stop()
+      })
+      .then(function () {
+        stopped.should.deep.equal(['b'])
+      })
+  })
+
+  it('should stop async plugins in reverse order', function () {
+    const stopped = []
+    const track = name => () =>
+      new Promise(resolve => setTimeout(resolve, 10)).then(() =>
+        stopped.push(name)
+      )
+
+    const core = createCore({
+      plugins: [
+        createFakePlugin('a', [], { stop: track('a') }),
+        createFakePlugin('b', ['a'], { stop: track('b') })
+      ]
+    })
+    core.start()
+    return core.stop().then(function () {
+      stopped.should.deep.equal(['b', 'a'])
+    })
+  })
+
+  it('should pass the new and previous config to plugins', function () {
+    const calls = []
+    const core = createCore({
+      plugins: [
+        createFakePlugin('a', [], {
+          configSchema: { label: { runtime: true, type: 'string' } },
+          reconfigure({ config, previousConfig }) {
+            calls.push([previousConfig.label, config.label])
+            return Promise.resolve()
+          }
+        })
+      ]
+    })
+    core.start({ label: 'first' })
+    return core
+      .reconfigure({ label: 'second' })
+      .then(function () {
+        calls.should.deep.equal([['first', 'second']])
+        return core
+          .reconfigure({ label: 'unknown', foo: 1 })
+          .should.be.rejectedWith('foo is not a known config key')
+      })
+      .then(() => core.stop())
+  })
+
+  it('should not change the keys not applied while running', function () {
+    const calls = []
+    const core = createCore({
+      plugins: [
+        createFakePlugin('a', [], {
+          reconfigure({ config }) {
+            calls.push(config.symbol)
+          }
+        })
+      ]
+    })
+    core.start({ chainId: 1, symbol: 'ETH' })
+    return core
+      .reconfigure({ chainId: 1, symbol: 'ETH' })
+      .then(function () {
+        calls.should.deep.equal(['ETH'])
+        return core
+          .reconfigure({ chainId: 3, symbol: 'MET' })
+          .should.be.rejectedWith(
+            'chainId cannot be changed while running, symbol cannot be'
+          )
+      })
+      .then(function () {
+        calls.should.have.lengthOf(1)
+        return core.stop()
+      })
+  })
+
+  it('should connect to the nodes with the given providers', function () {
+    const chain = createMockChain({ chainId: 3 })
+    const created = []
+    const core = createCore({
+      createProvider(options) {
+        created.push(options)
+        return chain.provider
+      },
+      plugins: [createEthPlugin]
+    })
+    const wsApiUrl = 'ws://localhost:8546'
+
+    core.start({ chainId: 3, wsApiUrl })
+
+    return core
+      .ready()
+      .then(function ({ api }) {
+        created.should.have.lengthOf(1)
+        created[0].should.include({ chainId: 3, wsApiUrl })
+        api.eth.getNodes().should.deep.equal([
+          {
+            active: true,
+            blockNumber: null,
+            chainId: null,
+            failed: false,
+            latencyMs: null,
+            url: wsApiUrl
+          }
+        ])
+      })
+      .then(() => core.stop())
+  })
+
+  it('should keep running if the node is not reachable', function () {
+    const chain = createMockChain({ chainId: 3 })
+    chain.provider.connected = false
+    const core = createCore({
+      createProvider: () => chain.provider,
+      plugins: [createEthPlugin]
+    })
+
+    const { api, emitter } = core.start({
+      chainId: 3,
+      wsApiUrl: 'ws://localhost:8546'
+    })
+
+    const reported = []
+    emitter.on('wallet-error', function (err) {
+      reported.push(err.code)
+    })
+
+    const send = api.eth.guardChain(() => 'sent')
+
+    return core
+      .ready()
+      .then(function () {
+        reported.should.include('ETH_CHAIN_UNVERIFIED')
+        return send().should.be.rejectedWith('Could not verify the chain')
+      })
+      .then(function () {
+        chain.reconnect()
+        return send()
+      })
+      .then(function (result) {
+        result.should.equal('sent')
+        return core.stop()
+      })
+  })
+
+  it('should only reconfigure the node keys of the eth plugin', function () {
+    const created = []
+    const core = createCore({
+      createProvider(options) {
+        created.push(options)
+        return createMockChain({ chainId: 3 }).provider
+      },
+      plugins: [createEthPlugin]
+    })
+
+    core.start({ chainId: 3, wsApiUrl: 'ws://localhost:8546' })
+
+    return core
+      .ready()
+      .then(() =>
+        core
+          .reconfigure({ nodeMaxLag: 50 })
+          .should.be.rejectedWith('nodeMaxLag cannot be changed while running')
+      )
+      .then(() => core.reconfigure({ wsApiUrl: 'ws://localhost:8547' }))
+      .then(function () {
+        created
+          .map(options => options.wsApiUrl)
+          .should.deep.equal(['ws://localhost:8546', 'ws://localhost:8547'])
+      })
+      .then(() => core.stop())
+  })
+
+  describe('with multiple chains', function () {
+    const chains = [{ chainId: 1 }, { chainId: 61, symbol: 'ETC' }]
+
+    it('should namespace the API of each chain', function () {
+      const core = createCore({
+        plugins: [
+          createFakePlugin('global', [], {
+            start: () => ({ api: { global: true } })
+          }),
+          createFakePlugin('chain', ['global'], {
+            perChain: true,
+            start: ({ config, plugins }) => ({
+              api: { global: plugins.global.global, symbol: config.symbol }
+            })
+          })
+        ]
+      })
+      const { api } = core.start({ chains })
+      api.global.should.deep.equal({ global: true })
+      api.chains[1].chain.should.deep.equal({ global: true, symbol: 'ETH' })
+      api.chains[61].chain.should.deep.equal({ global: true, symbol: 'ETC' })
+      return core.stop()
+    })
+
+    it('should add the chain ID to the events of each chain', function () {
+      const received = []
+      const core = createCore({
+        plugins: [
+          createFakePlugin('chain', [], {
+            perChain: true,
+            start({ config, eventBus }) {
+              eventBus.on('ping', function (data) {
+                received.push(`${config.chainId}:${data.value}`)
+                eventBus.emit('pong', data)
+              })
+              return {}
+            }
+          })
+        ]
+      })
+      const { emitter } = core.start({ chains })
+      const pongs = []
+      emitter.on('pong', function (data) {
+        pongs.push(data)
+      })
+      emitter.emit('ping', { value: 'all' })
+      emitter.emit('ping', { chainId: 61, value: 'etc' })
+      received.should.deep.equal(['1:all', '61:all', '61:etc'])
+      pongs.should.deep.equal([
+        { chainId: 1, value: 'all' },
+        { chainId: 61, value: 'all' },
+        { chainId: 61, value: 'etc' }
+      ])
+      return core.stop()
+    })
+
+    it('should reconfigure each chain with its own config', function () {
+      const calls = []
+      const core = createCore({
+        plugins: [
+          createFakePlugin('chain', [], {
+            configSchema: { label: { optional: true, runtime: true } },
+            perChain: true,
+            reconfigure({ config }) {
+              calls.push(`${config.chainId}:${config.label}`)
+            }
+          })
+        ]
+      })
+      core.start({ chains })
+      return core
+        .reconfigure({ chains: [{ chainId: 61, label: 'classic' }] })
+        .then(function () {
+          calls.should.deep.equal(['1:undefined', '61:classic'])
+          return core
+            .reconfigure({ chains: [{ chainId: 61, symbol: 'ETC2' }] })
+            .should.be.rejectedWith(
+              'chains[1].symbol cannot be changed while running'
+            )
+        })
+        .then(function () {
+          return core
+            .reconfigure({ chains: [{ chainId: 3 }] })
+            .should.be.rejectedWith('Chain 3 is not running')
+        })
+        .then(() => core.stop())
+    })
+
+    it('should not let global plugins depend on chain plugins', function () {
+      const core = createCore({
+        plugins: [
+          createFakePlugin('chain', [], { perChain: true }),
+          createFakePlugin('global', ['chain'])
+        ]
+      })
+      should.Throw(
+        () => core.start({ chains }),
+        'Plugin global depends on missing plugin chain'
+      )
+    })
+  })
+})
@@ -0,0 +1,69 @@
+'use strict'
+
+const chai = require('chai')
+const chaiAsPromised = require('chai-as-promised')
+
+const createCore = require('../src')
+const createMetrics = require('../src/metrics')
+
+chai.use(chaiAsPromised).should()
+
+describe('Metrics', function () {
+  it('should count and time operations by method', function () {
+    const measurements = []
+    const metrics = createMetrics({
+      collector: measurement => measurements.push(measurement)
+    })
+    const chainMetrics = metrics.withLabels({ chainId: 61 })
+
+    metrics.start('rpc', 'eth_blockNumber')()
+    metrics.start('rpc', 'eth_blockNumber')(new Error('Fake'))
+    chainMetrics.start('rpc', 'eth_blockNumber')()
+
+    const fail = () => Promise.reject(new Error('Fake'))
+
+    return chainMetrics
+      .time('indexer', 'best', fail)
+      .should.be.rejectedWith('Fake')
+      .then(function () {
+        measurements.should.have.lengthOf(4)
+        measurements[3].should.include({
+          chainId: 61,
+          error: true,
+          method: 'best',
+          name: 'indexer'
+        })
+        metrics
+          .snapshot()
+          .map(({ chainId, count, errors, method }) => [
+            chainId,
+            method,
+            count,
+            errors
+          ])
+          .should.deep.equal([
+            [undefined, 'eth_blockNumber', 2, 1],
+            [61, 'eth_blockNumber', 1, 0],
+            [61, 'best', 1, 1]
+          ])
+      })
+  })
+
+  it('should expose the snapshot in the core API', function () {
+    const core = createCore({
+      plugins: [
+        function () {
+          return { name: 'a', start: () => ({}), stop: () => null }
+        }
+      ]
+    })
+    const { api } = core.start()
+    api.metrics.snapshot()[0].should.include({
+      count: 1,
+      errors: 0,
+      method: 'a',
+      name: 'plugin-start'
+    })
+    return core.stop()
+  })
+})
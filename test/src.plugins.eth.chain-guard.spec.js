@@ -0,0 +1,139 @@
+'use strict'
+
+const chai = require('chai')
+const chaiAsPromised = require('chai-as-promised')
+const EventEmitter = require('events')
+
+const createChainGuard = require('../src/plugins/eth/chain-guard')
+
+chai.use(chaiAsPromised).should()
+
+function mockWeb3(node) {
+  return {
+    currentProvider: new EventEmitter(),
+    eth: {
+      getChainId: () => Promise.resolve(node.chainId)
+    }
+  }
+}
+
+describe('Chain guard', function () {
+  it('should let the functions run if the chain is correct', function () {
+    const web3 = mockWeb3({ chainId: 1 })
+    const chainGuard = createChainGuard(
+      { chainId: 1 },
+      new EventEmitter(),
+      web3
+    )
+    const send = chainGuard.guard(() => Promise.resolve('sent'))
+    return chainGuard
+      .check()
+      .then(() => send())
+      .should.eventually.equal('sent')
+  })
+
+  it('should re-check and block the functions on reconnect', function () {
+    const node = { chainId: 1 }
+    const eventBus = new EventEmitter()
+    const web3 = mockWeb3(node)
+    const chainGuard = createChainGuard({ chainId: 1 }, eventBus, web3)
+    const send = chainGuard.guard(() => Promise.resolve('sent'))
+
+    return chainGuard
+      .check()
+      .then(function () {
+        node.chainId = 2
+        return new Promise(function (resolve) {
+          eventBus.once('chain-mismatch', resolve)
+          eventBus.on('wallet-error', () => null)
+          web3.currentProvider.emit('connect')
+        })
+      })
+      .then(function (event) {
+        event.should.deep.equal({ chainId: 1, nodeChainId: 2 })
+        return send()
+          .should.be.rejectedWith('Wrong chain')
+          .and.eventually.have.property('code', 'ETH_WRONG_CHAIN')
+      })
+      .then(function () {
+        node.chainId = 1
+        return chainGuard.check()
+      })
+      .then(() => send())
+      .should.eventually.equal('sent')
+  })
+
+  it('should wait for the first check to run the functions', function () {
+    const eventBus = new EventEmitter()
+    const web3 = mockWeb3({ chainId: 2 })
+    const chainGuard = createChainGuard({ chainId: 1 }, eventBus, web3)
+    const send = chainGuard.guard(() => Promise.resolve('sent'))
+
+    const checked = chainGuard.check().catch(err => err.code)
+    return Promise.all([
+      send().catch(err => err.code),
+      checked
+    ]).should.eventually.deep.equal(['ETH_WRONG_CHAIN', 'ETH_WRONG_CHAIN'])
+  })
+
+  it('should check the chain if not checked yet', function () {
+    const web3 = mockWeb3({ chainId: 1 })
+    const chainGuard = createChainGuard(
+      { chainId: 1 },
+      new EventEmitter(),
+      web3
+    )
+    const send = chainGuard.guard(() => Promise.resolve('sent'))
+    return send().should.eventually.equal('sent')
+  })
+
+  it('should wait for the re-check on reconnect', function () {
+    const node = { chainId: 1 }
+    const eventBus = new EventEmitter()
+    const web3 = mockWeb3(node)
+    const chainGuard = createChainGuard({ chainId: 1 }, eventBus, web3)
+    const send = chainGuard.guard(() => Promise.resolve('sent'))
+
+    eventBus.on('wallet-error', () => null)
+    return chainGuard
+      .check()
+      .then(function () {
+        node.chainId = 2
+        web3.currentProvider.emit('connect')
+        return send()
+      })
+      .should.be.rejectedWith('Wrong chain')
+  })
+
+  it('should reject while the chain could not be verified', function () {
+    const web3 = mockWeb3({ chainId: 1 })
+    web3.eth.getChainId = () => Promise.reject(new Error('Disconnected'))
+    const chainGuard = createChainGuard(
+      { chainId: 1 },
+      new EventEmitter(),
+      web3
+    )
+    const send = chainGuard.guard(() => Promise.resolve('sent'))
+    return send()
+      .should.be.rejectedWith('Could not verify')
+      .and.eventually.have.property('code', 'ETH_CHAIN_UNVERIFIED')
+  })
+
+  it('should check the new node after failing over', function () {
+    const node = { chainId: 1 }
+    const eventBus = new EventEmitter()
+    const web3 = mockWeb3(node)
+    const chainGuard = createChainGuard({ chainId: 1 }, eventBus, web3)
+    const send = chainGuard.guard(() => Promise.resolve('sent'))
+
+    eventBus.on('chain-mismatch', () => null)
+    return chainGuard
+      .check()
+      .then(function () {
+        node.chainId = 2
+        eventBus.emit('web3-provider-changed', { reason: 'error' })
+        return send()
+      })
+      .should.be.rejectedWith('Wrong chain')
+  })
+})
@@ -21,5 +21,6 @@ describe('Chain checker', function () {
   it('should reject if the chain does not match', function () {
     return checkChain(mockWeb3({ id: 1 }), 2)
       .should.be.rejectedWith('Wrong chain')
+      .and.eventually.have.property('code', 'ETH_WRONG_CHAIN')
   })
 })
@@ -0,0 +1,75 @@
+'use strict'
+
+const chai = require('chai')
+const EventEmitter = require('events')
+
+const createNodeStatus = require('../src/plugins/eth/node-status')
+
+chai.should()
+
+const config = { nodeMaxBlockAgeMs: 60000, nodeStatusIntervalMs: 10 }
+
+function mockWeb3(node) {
+  return {
+    eth: {
+      getBlock: () =>
+        Promise.resolve({
+          number: node.blockNumber,
+          timestamp: node.timestamp
+        }),
+      isSyncing: () => Promise.resolve(node.syncing),
+      net: {
+        getPeerCount: () =>
+          node.peerCount === null
+            ? Promise.reject(new Error('Method not found'))
+            : Promise.resolve(node.peerCount)
+      }
+    }
+  }
+}
+
+describe('Node status', function () {
+  it('should emit the syncing progress and staleness', function () {
+    const node = {
+      blockNumber: 50,
+      peerCount: 3,
+      syncing: { currentBlock: 50, highestBlock: 100, startingBlock: 0 },
+      timestamp: Math.floor(Date.now() / 1000) - 3600
+    }
+    const eventBus = new EventEmitter()
+    const changes = []
+    eventBus.on('node-status-changed', status => changes.push(status))
+
+    const nodeStatus = createNodeStatus(config, eventBus, mockWeb3(node))
+
+    return new Promise(resolve => setTimeout(resolve, 5))
+      .then(function () {
+        changes.should.have.lengthOf(1)
+        changes[0].should.include({
+          highestBlock: 100,
+          peerCount: 3,
+          progress: 0.5,
+          stale: true,
+          syncing: true
+        })
+
+        Object.assign(node, {
+          blockNumber: 100,
+          peerCount: null,
+          syncing: false,
+          timestamp: Math.floor(Date.now() / 1000)
+        })
+        return new Promise(resolve => setTimeout(resolve, 25))
+      })
+      .then(function () {
+        nodeStatus.stop()
+        changes.should.have.lengthOf(2)
+        nodeStatus.getStatus().should.include({
+          peerCount: null,
+          progress: 1,
+          stale: false,
+          syncing: false
+        })
+      })
+  })
+})
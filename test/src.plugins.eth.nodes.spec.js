@@ -0,0 +1,80 @@
+'use strict'
+
+const chai = require('chai')
+const EventEmitter = require('events')
+const proxyquire = require('proxyquire')
+
+const createMetrics = require('../src/metrics')
+const createProxyProvider = require('../src/plugins/eth/proxy-provider')
+
+chai.should()
+
+const nodeResults = {
+  'ws://node1': { eth_blockNumber: '0x64', eth_chainId: '0x1' },
+  'ws://node2': { eth_blockNumber: '0x6e', eth_chainId: '0x1' },
+  'ws://node3': { eth_blockNumber: '0x6e', eth_chainId: '0x3d' }
+}
+
+function createFakeProvider({ wsApiUrl }) {
+  const provider = new EventEmitter()
+  provider.send = function (payload, callback) {
+    setTimeout(function () {
+      callback(null, {
+        id: payload.id,
+        result: nodeResults[wsApiUrl][payload.method]
+      })
+    }, 1)
+  }
+  provider.url = wsApiUrl
+  return provider
+}
+
+const createNodes = proxyquire('../src/plugins/eth/nodes', {
+  './web3': { createProvider: createFakeProvider }
+})
+
+describe('Nodes failover', function () {
+  const config = {
+    chainId: 1,
+    nodeMaxLag: 5,
+    nodeProbeIntervalMs: 1000,
+    nodes: ['ws://node1', 'ws://node3', 'ws://node2']
+  }
+
+  it('should switch from a lagging node to a healthy one', function (done) {
+    const eventBus = new EventEmitter()
+    const proxy = createProxyProvider(createMetrics())
+    const nodes = createNodes(config, eventBus, proxy)
+
+    proxy.getProvider().url.should.equal('ws://node1')
+
+    eventBus.on('web3-provider-changed', function (data) {
+      nodes.stop()
+      data.should.deep.equal({ reason: 'lag', wsApiUrl: 'ws://node2' })
+      proxy.getProvider().url.should.equal('ws://node2')
+      nodes
+        .getStatus()
+        .map(node => node.active)
+        .should.deep.equal([false, false, true])
+      done()
+    })
+  })
+
+  it('should fail over when the active node errors', function () {
+    const eventBus = new EventEmitter()
+    const proxy = createProxyProvider(createMetrics())
+    const nodes = createNodes(
+      Object.assign({}, config, { nodes: ['ws://node2', 'ws://node1'] }),
+      eventBus,
+      proxy
+    )
+
+    const changes = []
+    eventBus.on('web3-provider-changed', data => changes.push(data))
+
+    proxy.getProvider().emit('error', new Error('Fake'))
+    nodes.stop()
+
+    changes.should.deep.equal([{ reason: 'error', wsApiUrl: 'ws://node1' }])
+  })
+})
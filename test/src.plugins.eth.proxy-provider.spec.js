@@ -0,0 +1,52 @@
+'use strict'
+
+const chai = require('chai')
+const EventEmitter = require('events')
+
+const createMetrics = require('../src/metrics')
+const createProxyProvider = require('../src/plugins/eth/proxy-provider')
+
+chai.should()
+
+const createHttpLikeProvider = result => ({
+  send(payload, callback) {
+    const err = result instanceof Error ? result : null
+    callback(err, err ? undefined : { id: payload.id, result })
+  },
+  supportsSubscriptions: () => false
+})
+
+describe('Proxy provider', function () {
+  it('should forward events of the underlying provider', function () {
+    const proxy = createProxyProvider(createMetrics())
+    const first = new EventEmitter()
+    const second = new EventEmitter()
+
+    const received = []
+    proxy.on('data', data => received.push(data))
+
+    proxy.setProvider(first)
+    first.emit('data', 1)
+    proxy.setProvider(second).should.equal(first)
+    first.emit('data', 2)
+    second.emit('data', 3)
+
+    received.should.deep.equal([1, 3])
+  })
+
+  it('should emit connection events for providers without events', function () {
+    const proxy = createProxyProvider(createMetrics())
+    const events = []
+    proxy.on('connect', () => events.push('connect'))
+    proxy.on('error', () => events.push('error'))
+
+    proxy.setProvider(createHttpLikeProvider('0x1'))
+    proxy.send({ id: 1, method: 'eth_blockNumber' }, () => null)
+    proxy.send({ id: 2, method: 'eth_blockNumber' }, () => null)
+    proxy.setProvider(createHttpLikeProvider(new Error('Fake')))
+    proxy.send({ id: 3, method: 'eth_blockNumber' }, () => null)
+
+    proxy.supportsSubscriptions().should.equal(false)
+    events.should.deep.equal(['connect', 'error'])
+  })
+})
@@ -0,0 +1,95 @@
+'use strict'
+
+const chai = require('chai')
+
+const createRateLimiter = require('../src/plugins/eth/rate-limiter')
+
+chai.should()
+
+const request = (id, method) => ({ id, jsonrpc: '2.0', method, params: [] })
+
+describe('Rate limiter', function () {
+  it('should send the requests by priority once the limit is hit', function () {
+    const limiter = createRateLimiter({
+      nodeBackoffMs: 1,
+      nodeRequestsPerSecond: 100
+    })
+    const sent = []
+    const sendToNode = function (payload, callback) {
+      sent.push(payload.method)
+      callback(null, { id: payload.id, result: '0x0' })
+    }
+
+    for (let i = 0; i < 100; i++) {
+      limiter.send(request(i, 'eth_call'), sendToNode, () => null)
+    }
+
+    return new Promise(function (resolve) {
+      limiter.send(request(100, 'eth_getLogs'), sendToNode, resolve)
+      limiter.send(request(101, 'eth_call'), sendToNode, () => null)
+      limiter.send(
+        request(102, 'eth_sendRawTransaction'),
+        sendToNode,
+        () => null
+      )
+    }).then(function () {
+      sent.should.have.lengthOf(103)
+      sent
+        .slice(100)
+        .should.deep.equal([
+          'eth_sendRawTransaction',
+          'eth_call',
+          'eth_getLogs'
+        ])
+    })
+  })
+
+  it('should not limit the requests if not set', function () {
+    const limiter = createRateLimiter({ nodeBackoffMs: 1 })
+    const sent = []
+    const sendToNode = function (payload, callback) {
+      sent.push(payload.id)
+      callback(null, { id: payload.id, result: '0x0' })
+    }
+
+    for (let i = 0; i < 1000; i++) {
+      limiter.send(request(i, 'eth_call'), sendToNode, () => null)
+    }
+
+    sent.should.have.lengthOf(1000)
+  })
+
+  it('should back off and retry when rate limited', function () {
+    const limiter = createRateLimiter({
+      nodeBackoffMs: 5,
+      nodeRequestsPerSecond: 0
+    })
+    const attempts = []
+    const sendToNode = function (payload, callback) {
+      attempts.push(Date.now())
+      if (attempts.length < 3) {
+        callback(null, {
+          error: { code: -32005, message: 'Limit exceeded' },
+          id: payload.id
+        })
+        return
+      }
+      callback(null, { id: payload.id, result: '0x1' })
+    }
+
+    return new Promise(function (resolve) {
+      limiter.send(
+        request(1, 'eth_call'),
+        sendToNode,
+        function (err, response) {
+          resolve(err || response)
+        }
+      )
+    }).then(function (response) {
+      response.result.should.equal('0x1')
+      attempts.should.have.lengthOf(3)
+      // Backoffs of 5ms and 10ms
+      ;(attempts[2] - attempts[0]).should.be.at.least(14)
+    })
+  })
+})
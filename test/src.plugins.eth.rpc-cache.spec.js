@@ -0,0 +1,122 @@
+'use strict'
+
+const chai = require('chai')
+
+const createRpcCache = require('../src/plugins/eth/rpc-cache')
+
+chai.should()
+
+function createNode(result = '0x1') {
+  const node = {
+    pending: [],
+    requests: 0,
+    send(payload, callback) {
+      node.requests += 1
+      node.pending.push(() =>
+        callback(null, {
+          id: payload.id,
+          jsonrpc: '2.0',
+          result
+        })
+      )
+    },
+    respond() {
+      node.pending.splice(0).forEach(respond => respond())
+    }
+  }
+  return node
+}
+
+const balanceRequest = id => ({
+  id,
+  jsonrpc: '2.0',
+  method: 'eth_getBalance',
+  params: ['0x0000000000000000000000000000000000000001', 'latest']
+})
+
+describe('RPC cache', function () {
+  it('should share the response of identical requests in flight', function () {
+    const cache = createRpcCache({})
+    const node = createNode()
+    const responses = []
+    const push = (err, response) => responses.push(err || response.id)
+
+    cache.send(balanceRequest(1), node.send, push)
+    cache.send(balanceRequest(2), node.send, push)
+    node.respond()
+
+    node.requests.should.equal(1)
+    responses.should.deep.equal([1, 2])
+  })
+
+  it('should reuse the responses until a new block arrives', function () {
+    const cache = createRpcCache({})
+    const node = createNode()
+    const responses = []
+    const push = (err, response) => responses.push(err || response.id)
+
+    cache.setBlockNumber(10)
+    cache.send(balanceRequest(1), node.send, push)
+    node.respond()
+    cache.send(balanceRequest(2), node.send, push)
+    cache.setBlockNumber(10)
+    cache.send(balanceRequest(3), node.send, push)
+    node.requests.should.equal(1)
+
+    cache.setBlockNumber(11)
+    cache.send(balanceRequest(4), node.send, push)
+    node.respond()
+
+    node.requests.should.equal(2)
+    responses.should.deep.equal([1, 2, 3, 4])
+  })
+
+  it('should not cache responses received after a new block', function () {
+    const cache = createRpcCache({})
+    const node = createNode()
+    const push = () => null
+
+    cache.send(balanceRequest(1), node.send, push)
+    cache.setBlockNumber(11)
+    node.respond()
+    cache.send(balanceRequest(2), node.send, push)
+
+    node.requests.should.equal(2)
+  })
+
+  it('should give each request its own copy of the response', function () {
+    const cache = createRpcCache({})
+    const node = createNode({ logs: [{ logIndex: '0x0' }], status: '0x1' })
+    const results = []
+    const push = (err, response) => results.push(err || response.result)
+    const request = id => ({
+      id,
+      jsonrpc: '2.0',
+      method: 'eth_getTransactionReceipt',
+      params: ['0x01']
+    })
+
+    cache.send(request(1), node.send, push)
+    cache.send(request(2), node.send, push)
+    node.respond()
+    results[0].status = true
+    results[0].logs[0].logIndex = 0
+    cache.send(request(3), node.send, push)
+
+    node.requests.should.equal(1)
+    results[1].should.deep.equal({ logs: [{ logIndex: '0x0' }], status: '0x1' })
+    results[2].should.deep.equal({ logs: [{ logIndex: '0x0' }], status: '0x1' })
+  })
+
+  it('should not cache other methods', function () {
+    const cache = createRpcCache({})
+    const node = createNode()
+    const push = () => null
+    const request = { id: 1, jsonrpc: '2.0', method: 'eth_blockNumber' }
+
+    cache.send(request, node.send, push)
+    cache.send(request, node.send, push)
+
+    node.requests.should.equal(2)
+  })
+})
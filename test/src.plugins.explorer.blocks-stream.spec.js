@@ -0,0 +1,52 @@
+'use strict'
+
+const chai = require('chai')
+const Web3 = require('web3')
+
+const { createMockChain } = require('../src/testing')
+const createStream = require('../src/plugins/explorer/blocks-stream')
+
+chai.should()
+
+describe('Blocks stream', function () {
+  it('should poll blocks if subscriptions are not supported', function (done) {
+    const chain = createMockChain({ subscriptions: false })
+    const web3 = new Web3(chain.provider)
+
+    const received = []
+    const stream = createStream(web3, 5)
+    stream.on('error', done)
+    stream.on('data', function ({ number }) {
+      received.push(number)
+      if (number === 0) {
+        chain.mine()
+        return
+      }
+      stream.destroy()
+      received.should.deep.equal([0, 1])
+      done()
+    })
+  })
+
+  it('should stream the new blocks through subscriptions', function (done) {
+    const chain = createMockChain()
+    const web3 = new Web3(chain.provider)
+
+    const received = []
+    const stream = createStream(web3, 1000)
+    stream.on('error', done)
+    stream.on('data', function ({ number }) {
+      received.push(number)
+      if (number === 0) {
+        chain.mine()
+        chain.mine()
+        return
+      }
+      if (number === 2) {
+        stream.destroy()
+        received.should.deep.equal([0, 1, 2])
+        done()
+      }
+    })
+  })
+})
@@ -88,6 +88,49 @@ describe('Indexer', function () {
       })
   })
 
+  it('should request one transaction to check for any', function () {
+    const config = {
+      chainId: 1,
+      indexerUrl: 'http://localhost:3005',
+      useNativeCookieJar: true
+    }
+    const eventBus = null
+    const indexer = createIndexer(config, eventBus)
+
+    const address = randomAddress()
+
+    const scope = nock(config.indexerUrl)
+      .get(`/addresses/${address}/transactions`)
+      .query({ from: 0, limit: 1 })
+      .reply(200, [randomTxId()])
+
+    return indexer.hasTransactions(address).then(function (used) {
+      used.should.equal(true)
+      scope.done()
+    })
+  })
+
+  it('should request one BlockScout transaction to check for any', function () {
+    const config = {
+      chainId: 61,
+      useNativeCookieJar: true
+    }
+    const eventBus = null
+    const indexer = createIndexer(config, eventBus)
+
+    const address = randomAddress()
+
+    const scope = nock('https://blockscout.com')
+      .get('/etc/mainnet/api/')
+      .query(q => q.address === address && q.offset === '1' && q.page === '1')
+      .reply(200, { message: 'No transactions found', result: [], status: '0' })
+
+    return indexer.hasTransactions(address).then(function (used) {
+      used.should.equal(false)
+      scope.done()
+    })
+  })
+
   after(function () {
     nock.enableNetConnect()
   })
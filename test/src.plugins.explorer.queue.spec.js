@@ -0,0 +1,100 @@
+'use strict'
+
+const chai = require('chai')
+const EventEmitter = require('events')
+
+const { applyDelta } = require('../src/plugins/state/store')
+const createQueue = require('../src/plugins/explorer/queue')
+
+chai.should()
+
+describe('Explorer queue', function () {
+  const address = '0x0000000000000000000000000000000000000001'
+  const original = { hash: '0x01', nonce: 5 }
+  const replacement = { hash: '0x02', nonce: 5 }
+
+  const getTransactions = ({ state }) =>
+    state[1].addresses[address].transactions
+
+  /**
+   * Create a queue with the original transaction in the history.
+   *
+   * @returns {object} The queue, the emitted state and the history.
+   */
+  function createTestQueue() {
+    const eventBus = new EventEmitter()
+    const emitted = { state: {} }
+    eventBus.on('wallet-state-changed', function (data) {
+      emitted.state = applyDelta(emitted.state, data)
+    })
+
+    // The node dropped the original once replaced
+    const web3 = {
+      eth: {
+        getTransaction: hash =>
+          Promise.resolve(hash === replacement.hash ? replacement : null),
+        getTransactionReceipt: () => Promise.resolve(null)
+      }
+    }
+    const saved = {
+      [original.hash]: { meta: { foo: 'bar' }, transaction: original }
+    }
+    const history = {
+      addTransactions(_, transactions) {
+        transactions.forEach(function (data) {
+          saved[data.transaction.hash] = data
+        })
+        return Promise.resolve()
+      },
+      getTransactions: () => Promise.resolve(Object.values(saved)),
+      removeTransaction(_, hash) {
+        delete saved[hash]
+        return Promise.resolve()
+      }
+    }
+
+    const queue = createQueue({ explorerDebounce: 0 }, eventBus, web3, history)
+    eventBus.emit('open-wallets', { activeWallet: 1 })
+
+    return queue.restore(address).then(function () {
+      getTransactions(emitted).should.deep.equal([
+        { meta: { foo: 'bar' }, transaction: original }
+      ])
+      return { emitted, queue, saved }
+    })
+  }
+
+  it('should merge a cancellation and its original in one entry', function () {
+    return createTestQueue().then(({ emitted, queue, saved }) =>
+      queue
+        .addTransaction(address, { cancels: original.hash })(replacement.hash)
+        .then(function () {
+          getTransactions(emitted).should.deep.equal([
+            {
+              meta: { cancels: original.hash },
+              receipt: null,
+              transaction: replacement
+            }
+          ])
+          Object.keys(saved).should.deep.equal([replacement.hash])
+        })
+    )
+  })
+
+  it('should keep the metas of the original of a speed up', function () {
+    return createTestQueue().then(({ emitted, queue, saved }) =>
+      queue
+        .addTransaction(address, { replaces: original.hash })(replacement.hash)
+        .then(function () {
+          getTransactions(emitted).should.deep.equal([
+            {
+              meta: { foo: 'bar', replaces: original.hash },
+              receipt: null,
+              transaction: replacement
+            }
+          ])
+          Object.keys(saved).should.deep.equal([replacement.hash])
+        })
+    )
+  })
+})
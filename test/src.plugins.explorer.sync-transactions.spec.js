@@ -0,0 +1,300 @@
+'use strict'
+
+const chai = require('chai')
+const EventEmitter = require('events')
+const Web3 = require('web3')
+
+const { createMemoryStorage } = require('../src/storage')
+const { createMockChain } = require('../src/testing')
+const { randomAddress } = require('./utils')
+const createHistory = require('../src/plugins/explorer/history')
+const createMetrics = require('../src/metrics')
+const createProxyProvider = require('../src/plugins/eth/proxy-provider')
+const createSyncer = require('../src/plugins/explorer/sync-transactions')
+
+chai.should()
+
+const { abi } = new Web3().eth
+
+const transferAbi = {
+  anonymous: false,
+  inputs: [
+    { indexed: true, name: 'from', type: 'address' },
+    { indexed: true, name: 'to', type: 'address' },
+    { indexed: false, name: 'value', type: 'uint256' }
+  ],
+  name: 'Transfer',
+  type: 'event'
+}
+
+const transferLog = (token, from, to, value) => ({
+  address: token,
+  data: abi.encodeParameter('uint256', value),
+  topics: [
+    abi.encodeEventSignature(transferAbi),
+    abi.encodeParameter('address', from),
+    abi.encodeParameter('address', to)
+  ]
+})
+
+// Creates a syncer of the token transfers to an address on a mock chain
+function createChainSyncer(provider, address, token) {
+  const config = { chainId: 3 }
+  const eventBus = new EventEmitter()
+  const history = createHistory(config, eventBus, createMemoryStorage())
+  const web3 = new Web3(provider)
+
+  const events = []
+  const indexer = {
+    getTransactions: () => Promise.resolve([]),
+    getTransactionStream: () => new EventEmitter()
+  }
+  const queue = {
+    addEvent: () =>
+      function (event) {
+        events.push(event)
+        return Promise.resolve()
+      },
+    addTransaction: () => () => Promise.resolve(),
+    restore: () => Promise.resolve()
+  }
+  const eventsRegistry = {
+    getAll: () => [
+      () => ({
+        abi: [transferAbi],
+        contractAddress: token,
+        eventName: 'Transfer',
+        filter: { to: address },
+        metaParser: () => ({})
+      })
+    ]
+  }
+
+  const syncer = createSyncer(
+    config,
+    eventBus,
+    web3,
+    queue,
+    eventsRegistry,
+    indexer,
+    history
+  )
+
+  return { eventBus, events, syncer }
+}
+
+// Resolves once the check passes or rejects after the timeout
+const waitFor = (check, timeout = 1000) =>
+  new Promise(function (resolve, reject) {
+    const start = Date.now()
+    const timer = setInterval(function () {
+      if (check()) {
+        clearInterval(timer)
+        resolve()
+      } else if (Date.now() - start > timeout) {
+        clearInterval(timer)
+        reject(new Error('Timed out waiting'))
+      }
+    }, 5)
+  })
+
+describe('Transactions syncer', function () {
+  it('should resume syncing from the saved checkpoint', function () {
+    const address = randomAddress()
+    const config = { chainId: 1 }
+    const eventBus = new EventEmitter()
+    const storage = createMemoryStorage()
+    const history = createHistory(config, eventBus, storage)
+
+    const requests = []
+    const indexer = {
+      getTransactions(from, to) {
+        requests.push([from, to])
+        return Promise.resolve([])
+      },
+      getTransactionStream: () => new EventEmitter()
+    }
+    const queue = {
+      addTransaction: () => () => Promise.resolve(),
+      restore: () => Promise.resolve()
+    }
+    const eventsRegistry = { getAll: () => [] }
+
+    const syncer = createSyncer(
+      config,
+      eventBus,
+      null,
+      queue,
+      eventsRegistry,
+      indexer,
+      history
+    )
+
+    eventBus.emit('coin-block', { number: 100 })
+
+    return history
+      .setCheckpoint(address, 'coin', 90)
+      .then(() => syncer.syncTransactions(0, address))
+      .then(function (syncedBlock) {
+        syncedBlock.should.equal(100)
+        requests.should.deep.equal([[90, 100]])
+        eventBus.emit('coin-block', { number: 101 })
+        return new Promise(resolve => setTimeout(resolve, 10))
+      })
+      .then(() => storage.get(`1:checkpoints:${address}`))
+      .then(function (checkpoints) {
+        checkpoints.should.deep.equal({ coin: 101 })
+        syncer.stop()
+      })
+  })
+
+  it('should receive the new events through subscriptions', function () {
+    const chain = createMockChain()
+    const address = randomAddress()
+    const token = randomAddress()
+    const { eventBus, events, syncer } = createChainSyncer(
+      chain.provider,
+      address,
+      token
+    )
+
+    eventBus.emit('coin-block', { number: 0 })
+
+    return syncer
+      .syncTransactions(0, address)
+      .then(function () {
+        chain.mine({ logs: [transferLog(token, randomAddress(), address, 5)] })
+        chain.mine({ logs: [transferLog(token, address, randomAddress(), 1)] })
+        return waitFor(() => events.length > 0)
+      })
+      .then(function () {
+        events.should.have.lengthOf(1)
+        events[0].blockNumber.should.equal(1)
+        events[0].returnValues.value.should.equal('5')
+        syncer.stop()
+      })
+  })
+
+  it('should resync the events missed while disconnected', function () {
+    const chain = createMockChain()
+    const address = randomAddress()
+    const token = randomAddress()
+    const { eventBus, events, syncer } = createChainSyncer(
+      chain.provider,
+      address,
+      token
+    )
+    const errors = []
+    eventBus.on('wallet-error', err => errors.push(err))
+
+    eventBus.emit('coin-block', { number: 0 })
+
+    return syncer
+      .syncTransactions(0, address)
+      .then(function () {
+        chain.mine({ logs: [transferLog(token, randomAddress(), address, 5)] })
+        return waitFor(() => events.length === 1)
+      })
+      .then(function () {
+        eventBus.emit('coin-block', { number: 1 })
+        chain.disconnect()
+        chain.mine({ logs: [transferLog(token, randomAddress(), address, 7)] })
+        return waitFor(() => errors.length > 0)
+      })
+      .then(function () {
+        errors[0].code.should.equal('SYNC_EVENT_FAILED')
+        chain.reconnect()
+        eventBus.emit('coin-block', { number: 2 })
+        return waitFor(() => events.some(e => e.blockNumber === 2))
+      })
+      .then(function () {
+        events
+          .find(e => e.blockNumber === 2)
+          .returnValues.value.should.equal('7')
+        syncer.getSyncStatus()[1].should.include({
+          bestSyncBlock: 2,
+          resyncing: false
+        })
+        syncer.stop()
+      })
+  })
+
+  it('should poll the events of a new node without subscriptions', function () {
+    const subscribing = createMockChain()
+    const polling = createMockChain({ subscriptions: false })
+    const proxy = createProxyProvider(createMetrics())
+    proxy.setProvider(subscribing.provider)
+    const address = randomAddress()
+    const token = randomAddress()
+    const { eventBus, events, syncer } = createChainSyncer(
+      proxy,
+      address,
+      token
+    )
+
+    eventBus.emit('coin-block', { number: 0 })
+
+    return syncer
+      .syncTransactions(0, address)
+      .then(function () {
+        proxy.setProvider(polling.provider)
+        syncer.resubscribe()
+        polling.mine({
+          logs: [transferLog(token, randomAddress(), address, 5)]
+        })
+        eventBus.emit('coin-block', { number: 1 })
+        return waitFor(() => events.some(e => e.blockNumber === 1))
+      })
+      .then(function () {
+        // Resynced already so only polling gets the new events
+        polling.mine({
+          logs: [transferLog(token, randomAddress(), address, 7)]
+        })
+        eventBus.emit('coin-block', { number: 2 })
+        return waitFor(() => events.some(e => e.blockNumber === 2))
+      })
+      .then(function () {
+        events
+          .find(e => e.blockNumber === 2)
+          .returnValues.value.should.equal('7')
+        syncer.stop()
+      })
+  })
+
+  it('should subscribe to the events of a new node that can', function () {
+    const subscribing = createMockChain()
+    const polling = createMockChain({ subscriptions: false })
+    const proxy = createProxyProvider(createMetrics())
+    proxy.setProvider(polling.provider)
+    const address = randomAddress()
+    const token = randomAddress()
+    const { eventBus, events, syncer } = createChainSyncer(
+      proxy,
+      address,
+      token
+    )
+
+    eventBus.emit('coin-block', { number: 0 })
+
+    return syncer
+      .syncTransactions(0, address)
+      .then(function () {
+        proxy.setProvider(subscribing.provider)
+        syncer.resubscribe()
+        return new Promise(resolve => setTimeout(resolve, 10))
+      })
+      .then(function () {
+        // No new block is emitted so only the subscription gets the events
+        subscribing.mine({
+          logs: [transferLog(token, randomAddress(), address, 5)]
+        })
+        return waitFor(() => events.length > 0)
+      })
+      .then(function () {
+        events.should.have.lengthOf(1)
+        events[0].blockNumber.should.equal(1)
+        events[0].returnValues.value.should.equal('5')
+        syncer.stop()
+      })
+  })
+})
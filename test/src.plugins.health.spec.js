@@ -0,0 +1,52 @@
+'use strict'
+
+const chai = require('chai')
+const EventEmitter = require('events')
+
+const createPlugin = require('../src/plugins/health')
+
+chai.should()
+
+describe('Health plugin', function () {
+  it('should combine the state of all components', function () {
+    const eventBus = new EventEmitter()
+    const syncStatus = [{ address: '0x0', lag: 0, resyncing: false }]
+    const plugins = {
+      eth: { web3Provider: { connected: true } },
+      explorer: {
+        getIndexerBestBlock: () => Promise.resolve({ hash: '0x1', number: 98 }),
+        getSyncStatus: () => syncStatus
+      }
+    }
+
+    const plugin = createPlugin()
+    const { api } = plugin.start({
+      config: { ratesUpdateMs: 1000 },
+      eventBus,
+      plugins
+    })
+
+    const changes = []
+    eventBus.on('health-changed', function (status) {
+      changes.push(status)
+    })
+
+    eventBus.emit('web3-chain-checked', { verified: true })
+    eventBus.emit('indexer-connection-status-changed', { connected: true })
+    eventBus.emit('coin-block', { number: 100 })
+
+    return new Promise(resolve => setTimeout(resolve, 10)).then(function () {
+      const status = api.getStatus()
+      status.healthy.should.equal(true)
+      status.indexer.lag.should.equal(2)
+
+      syncStatus[0].resyncing = true
+      eventBus.emit('wallet-error', { code: 'RATES_UNAVAILABLE' })
+
+      const last = changes[changes.length - 1]
+      last.healthy.should.equal(false)
+      last.rates.stale.should.equal(true)
+      plugin.stop()
+    })
+  })
+})
@@ -6,6 +6,8 @@ const EventEmitter = require('events')
 const nock = require('nock')
 const proxyquire = require('proxyquire')
 
+const createCore = require('../src')
+
 chai.should()
 
 describe('Rates', function () {
@@ -62,6 +64,51 @@ describe('Rates', function () {
     plugin.start({ config, eventBus })
   })
 
+  it('should emit the coin price of each chain', function () {
+    const createPlugin = proxyquire('../src/plugins/rates', {
+      'safe-exchange-rate': {
+        getExchangeRate: pair =>
+          Promise.resolve({ 'ETC:USD': 20, 'ETH:USD': 200 }[pair])
+      }
+    })
+
+    const received = { 1: [], 61: [] }
+    const createListener = () => ({
+      name: 'listener',
+      perChain: true,
+      start({ config, eventBus }) {
+        eventBus.on('coin-price-updated', function ({ price, token }) {
+          received[config.chainId].push({ price, token })
+        })
+      },
+      stop: () => null
+    })
+
+    const core = createCore({ plugins: [createPlugin, createListener] })
+    const { emitter } = core.start({
+      chains: [{ chainId: 1 }, { chainId: 61, symbol: 'ETC' }],
+      ratesUpdateMs: 1000
+    })
+
+    const emitted = []
+    emitter.on('coin-price-updated', function (priceData) {
+      emitted.push(priceData)
+    })
+
+    return new Promise(resolve => setTimeout(resolve, 50))
+      .then(function () {
+        emitted.should.have.deep.members([
+          { chainId: 1, currency: 'USD', price: 200, token: 'ETH' },
+          { chainId: 61, currency: 'USD', price: 20, token: 'ETC' }
+        ])
+        received.should.deep.equal({
+          1: [{ price: 200, token: 'ETH' }],
+          61: [{ price: 20, token: 'ETC' }]
+        })
+      })
+      .then(() => core.stop())
+  })
+
   after(function () {
     nock.enableNetConnect()
   })
@@ -0,0 +1,85 @@
+'use strict'
+
+const chai = require('chai')
+
+const { applyDelta, createStore } = require('../src/plugins/state/store')
+
+chai.should()
+
+const tx = (hash, receipt = null) => ({
+  meta: {},
+  receipt,
+  transaction: { hash }
+})
+
+describe('State store', function () {
+  it('should merge balances, tokens and transactions', function () {
+    const state = [
+      { balance: '1' },
+      { token: { t: { balance: '2', symbol: 'T' } } },
+      { transactions: [tx('0x1'), tx('0x2')] },
+      { token: { t: { balance: '3' } } },
+      { transactions: [tx('0x1', { status: true })] }
+    ]
+      .map(a => ({ w: { addresses: { a } } }))
+      .reduce(applyDelta, {})
+
+    state.should.deep.equal({
+      w: {
+        addresses: {
+          a: {
+            balance: '1',
+            token: { t: { balance: '3', symbol: 'T' } },
+            transactions: [tx('0x1', { status: true }), tx('0x2')]
+          }
+        }
+      }
+    })
+  })
+
+  it('should put a replacement in place of its original', function () {
+    const replacement = hash => ({ ...tx(hash), meta: { replaces: '0x2' } })
+    const state = [
+      { transactions: [tx('0x1'), tx('0x2')] },
+      { transactions: [replacement('0x3')] }
+    ]
+      .map(a => ({ w: { addresses: { a } } }))
+      .reduce(applyDelta, {})
+
+    state.w.addresses.a.transactions.should.deep.equal([
+      tx('0x1'),
+      replacement('0x3')
+    ])
+  })
+
+  it('should keep the identity of unchanged parts', function () {
+    const state = applyDelta(
+      {},
+      {
+        w: { addresses: { a: { balance: '1' }, b: { balance: '2' } } }
+      }
+    )
+    const delta = { w: { addresses: { a: { balance: '3' } } } }
+    const next = applyDelta(state, delta)
+    next.w.addresses.b.should.equal(state.w.addresses.b)
+    next.w.addresses.a.should.not.equal(state.w.addresses.a)
+  })
+
+  it('should replay the current value and notify changes', function () {
+    const store = createStore()
+    store.update({ w: { addresses: { a: { balance: '1' } } } })
+
+    const received = []
+    const unsubscribe = store.subscribe(
+      state => state.w.addresses.a.balance,
+      balance => received.push(balance)
+    )
+    store.update({ w: { addresses: { b: { balance: '2' } } } })
+    store.update({ w: { addresses: { a: { balance: '3' } } } })
+    unsubscribe()
+    store.update({ w: { addresses: { a: { balance: '4' } } } })
+
+    received.should.deep.equal(['1', '3'])
+    store.get().w.addresses.a.balance.should.equal('4')
+  })
+})
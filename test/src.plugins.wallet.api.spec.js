@@ -0,0 +1,114 @@
+'use strict'
+
+const chai = require('chai')
+const chaiAsPromised = require('chai-as-promised')
+
+const api = require('../src/plugins/wallet/api')
+
+chai.use(chaiAsPromised).should()
+
+const from = '0x0000000000000000000000000000000000000001'
+const hash = '0x01'
+
+const pending = {
+  blockNumber: null,
+  from,
+  gas: 60000,
+  gasPrice: '1000000000',
+  hash,
+  input: '0xa9059cbb',
+  nonce: 5,
+  to: '0x0000000000000000000000000000000000000002',
+  value: '10'
+}
+
+function createWeb3(transaction, gasPrice = '1000000000') {
+  return {
+    eth: {
+      getGasPrice: () => Promise.resolve(gasPrice),
+      getTransaction: () => Promise.resolve(transaction)
+    }
+  }
+}
+
+function createSend(sent) {
+  return function (signer, transaction, meta) {
+    sent.push({ meta, signer, transaction })
+    return Promise.resolve({ receipt: {} })
+  }
+}
+
+describe('Transaction replacements', function () {
+  it('should speed up with the same nonce and 10% more gas price', function () {
+    const sent = []
+    const speedUp = api.speedUpTransaction(
+      createWeb3(pending),
+      createSend(sent)
+    )
+
+    return speedUp('signer', hash).then(function () {
+      sent.should.deep.equal([
+        {
+          meta: { replaces: hash },
+          signer: 'signer',
+          transaction: {
+            data: pending.input,
+            from,
+            gas: pending.gas,
+            gasPrice: '1100000000',
+            nonce: pending.nonce,
+            to: pending.to,
+            value: pending.value
+          }
+        }
+      ])
+    })
+  })
+
+  it('should use the node gas price if higher', function () {
+    const sent = []
+    const web3 = createWeb3(pending, '3000000000')
+    const speedUp = api.speedUpTransaction(web3, createSend(sent))
+
+    return speedUp('signer', hash).then(function () {
+      sent[0].transaction.gasPrice.should.equal('3000000000')
+    })
+  })
+
+  it('should cancel with a 0-value self-send', function () {
+    const sent = []
+    const cancel = api.cancelTransaction(createWeb3(pending), createSend(sent))
+
+    return cancel('signer', hash, { gasPrice: '2000000000' }).then(function () {
+      sent.should.deep.equal([
+        {
+          meta: { cancels: hash },
+          signer: 'signer',
+          transaction: {
+            from,
+            gas: 21000,
+            gasPrice: '2000000000',
+            nonce: pending.nonce,
+            to: from,
+            value: '0'
+          }
+        }
+      ])
+    })
+  })
+
+  it('should reject a gas price too low to replace', function () {
+    const cancel = api.cancelTransaction(createWeb3(pending), createSend([]))
+
+    return cancel('signer', hash, {
+      gasPrice: '1050000000'
+    }).should.be.rejectedWith('at least 1100000000')
+  })
+
+  it('should reject if already mined', function () {
+    const mined = Object.assign({}, pending, { blockNumber: 10 })
+    const speedUp = api.speedUpTransaction(createWeb3(mined), createSend([]))
+
+    return speedUp('signer', hash).should.be.rejectedWith('already mined')
+  })
+})
@@ -0,0 +1,62 @@
+'use strict'
+
+const chai = require('chai')
+const chaiAsPromised = require('chai-as-promised')
+
+const discoverAddresses = require('../src/plugins/wallet/discovery')
+const hdkey = require('../src/plugins/wallet/hdkey')
+
+chai.use(chaiAsPromised).should()
+
+const seed =
+  '5eb00bbddcf069084889a8ab9155568165f5c453ccb85e70811aaed6f6da5fc1' +
+  '9a5ac40b389cd370d086206dec8aa6c43daea6690f20ad3d8d48b2d2ce9e38e4'
+
+describe('Address discovery', function () {
+  it('should find the used addresses up to the gap limit', function () {
+    const addresses = [0, 1, 2, 3, 4, 5, 6, 7, 8, 9].map(index =>
+      hdkey.getAddress(seed, index)
+    )
+
+    // Index 0 has sent transactions, 2 has balance and 5 has history
+    const web3 = {
+      eth: {
+        getBalance: address =>
+          Promise.resolve(address === addresses[2] ? '1' : '0'),
+        getTransactionCount: address =>
+          Promise.resolve(address === addresses[0] ? 1 : 0)
+      }
+    }
+    const hasTransactions = address => Promise.resolve(address === addresses[5])
+
+    return discoverAddresses(
+      web3,
+      hasTransactions,
+      hdkey.getAddress,
+      3
+    )(seed).then(function (used) {
+      used.should.deep.equal([
+        { address: addresses[0], index: 0 },
+        { address: addresses[2], index: 2 },
+        { address: addresses[5], index: 5 }
+      ])
+    })
+  })
+
+  it('should find no addresses in an unused seed', function () {
+    const web3 = {
+      eth: {
+        getBalance: () => Promise.resolve('0'),
+        getTransactionCount: () => Promise.resolve(0)
+      }
+    }
+    const hasTransactions = () => Promise.resolve(false)
+
+    return discoverAddresses(
+      web3,
+      hasTransactions,
+      hdkey.getAddress,
+      20
+    )(seed, { gapLimit: 2 }).should.eventually.deep.equal([])
+  })
+})
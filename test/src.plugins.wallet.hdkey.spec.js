@@ -0,0 +1,42 @@
+'use strict'
+
+const chai = require('chai')
+
+const hdkey = require('../src/plugins/wallet/hdkey')
+
+const should = chai.should()
+
+const seed =
+  '5eb00bbddcf069084889a8ab9155568165f5c453ccb85e70811aaed6f6da5fc1' +
+  '9a5ac40b389cd370d086206dec8aa6c43daea6690f20ad3d8d48b2d2ce9e38e4'
+
+describe('HD keys', function () {
+  it('should derive addresses with path templates and presets', function () {
+    const bip44 = hdkey.getPathTemplate('bip44', 60)
+    const ledgerLive = hdkey.getPathTemplate('ledgerLive', 60)
+
+    bip44.should.equal("m/44'/60'/0'/0/x")
+    ledgerLive.should.equal("m/44'/60'/x'/0/0")
+
+    hdkey
+      .getAddress(seed, 0, ledgerLive)
+      .should.equal(hdkey.getAddress(seed, 0, bip44))
+    hdkey
+      .getAddress(seed, 1, ledgerLive)
+      .should.equal(hdkey.getAddress(seed, 0, "m/44'/60'/1'/0/x"))
+    hdkey
+      .getAddress(seed, 1, ledgerLive)
+      .should.not.equal(hdkey.getAddress(seed, 1, bip44))
+  })
+
+  it('should use the coin type of the chain', function () {
+    hdkey.getCoinType(1).should.equal(60)
+    hdkey.getCoinType(61).should.equal(61)
+    hdkey.getPathTemplate('legacy', 61).should.equal("m/44'/61'/0'/x")
+  })
+
+  it('should reject invalid paths', function () {
+    should.Throw(() => hdkey.getPathTemplate("m/44'/60'/0'/0/0"))
+    should.Throw(() => hdkey.getPathTemplate('electrum'))
+  })
+})
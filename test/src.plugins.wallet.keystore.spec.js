@@ -0,0 +1,77 @@
+'use strict'
+
+const chai = require('chai')
+const chaiAsPromised = require('chai-as-promised')
+
+const hdkey = require('../src/plugins/wallet/hdkey')
+const keystore = require('../src/plugins/wallet/keystore')
+const vault = require('../src/plugins/wallet/vault')
+
+chai.use(chaiAsPromised).should()
+
+const seed =
+  '5eb00bbddcf069084889a8ab9155568165f5c453ccb85e70811aaed6f6da5fc1' +
+  '9a5ac40b389cd370d086206dec8aa6c43daea6690f20ad3d8d48b2d2ce9e38e4'
+
+// Low costs to keep the tests fast
+const scrypt = { kdf: 'scrypt', n: 1024 }
+const pbkdf2 = { c: 1024, kdf: 'pbkdf2' }
+
+describe('Keystores', function () {
+  it('should export and import scrypt and pbkdf2 keystores', function () {
+    const { address, privateKey } = hdkey.getAddressAndPrivateKey(seed, 0)
+
+    return Promise.all(
+      [scrypt, pbkdf2].map(options =>
+        keystore
+          .exportKeystore(privateKey, 'secret', options)
+          .then(function (json) {
+            json.version.should.equal(3)
+            json.crypto.kdf.should.equal(options.kdf)
+            return keystore.importKeystore(JSON.stringify(json), 'secret')
+          })
+          .then(function (imported) {
+            imported.should.deep.equal({ address, privateKey })
+          })
+      )
+    )
+  })
+
+  it('should reject a wrong password', function () {
+    const privateKey = hdkey.getPrivateKey(seed, 0)
+    return keystore
+      .exportKeystore(privateKey, 'secret', pbkdf2)
+      .then(json => keystore.importKeystore(json, 'wrong')).should.be.rejected
+  })
+})
+
+describe('Vaults', function () {
+  it('should encrypt and decrypt a seed', function () {
+    return Promise.all(
+      [scrypt, pbkdf2].map(options =>
+        vault
+          .createVault(seed, 'secret', options)
+          .then(function (created) {
+            JSON.stringify(created).should.not.include(seed)
+            return vault.openVault(JSON.stringify(created), 'secret')
+          })
+          .should.eventually.equal(seed)
+      )
+    )
+  })
+
+  it('should change the password', function () {
+    return vault
+      .createVault(seed, 'secret', scrypt)
+      .then(created =>
+        vault.changeVaultPassword(created, 'secret', 'new secret', scrypt)
+      )
+      .then(changed =>
+        vault
+          .openVault(changed, 'secret')
+          .should.be.rejectedWith('Wrong password')
+          .then(() => vault.openVault(changed, 'new secret'))
+      )
+      .should.eventually.equal(seed)
+  })
+})
@@ -0,0 +1,51 @@
+'use strict'
+
+const chai = require('chai')
+const chaiAsPromised = require('chai-as-promised')
+
+const hdkey = require('../src/plugins/wallet/hdkey')
+const mnemonic = require('../src/plugins/wallet/mnemonic')
+
+chai.use(chaiAsPromised).should()
+
+// Test vector from the BIP39 reference implementation
+const words = `${'abandon '.repeat(11)}about`
+const seed =
+  'c55257c360c07c72029aebc1b53c05ed0362ada38ead3e3e9efa3708e5349553' +
+  '1f09a6987599d18264c1e1c92f2cf141630c7a3c4ab7c81b2f001698e7463b04'
+
+describe('Mnemonics', function () {
+  it('should create valid mnemonics', function () {
+    const created = mnemonic.createMnemonic(256)
+    created.split(' ').should.have.lengthOf(24)
+    mnemonic.validateMnemonic(created).valid.should.equal(true)
+  })
+
+  it('should derive the seed of a mnemonic', function () {
+    return mnemonic
+      .mnemonicToSeed(` ${words.toUpperCase()} `, 'TREZOR')
+      .then(function (derived) {
+        derived.should.equal(seed)
+        hdkey.getAddress(derived, 0).should.match(/^0x[0-9a-fA-F]{40}$/)
+      })
+  })
+
+  it('should verify the checksum', function () {
+    mnemonic
+      .validateMnemonic(words.replace('about', 'abandon'))
+      .should.deep.equal({ error: 'CHECKSUM', unknownWords: [], valid: false })
+    return mnemonic
+      .mnemonicToSeed(words.replace('about', 'abandon'))
+      .should.be.rejectedWith('Invalid mnemonic')
+  })
+
+  it('should suggest words for the unknown ones', function () {
+    const result = mnemonic.validateMnemonic(
+      words.replace('about', 'abuot').split(' ')
+    )
+    result.error.should.equal('UNKNOWN_WORDS')
+    result.unknownWords.should.have.lengthOf(1)
+    result.unknownWords[0].should.include({ index: 11, word: 'abuot' })
+    result.unknownWords[0].suggestions.should.include('about')
+  })
+})
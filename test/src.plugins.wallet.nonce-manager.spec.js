@@ -0,0 +1,97 @@
+'use strict'
+
+const chai = require('chai')
+const chaiAsPromised = require('chai-as-promised')
+
+const createNonceManager = require('../src/plugins/wallet/nonce-manager')
+
+chai.use(chaiAsPromised).should()
+
+const address = '0x0000000000000000000000000000000000000001'
+
+function createWeb3(node) {
+  return {
+    eth: {
+      getTransactionCount: () =>
+        new Promise(resolve => setTimeout(() => resolve(node.count), 1))
+    }
+  }
+}
+
+describe('Nonce manager', function () {
+  it('should hand out consecutive nonces to concurrent sends', function () {
+    const nonces = createNonceManager({}, createWeb3({ count: 4 }))
+
+    return Promise.all([
+      nonces.reserve(address),
+      nonces.reserve(address),
+      nonces.reserve(address)
+    ]).should.eventually.deep.equal([4, 5, 6])
+  })
+
+  it('should reuse a released nonce', function () {
+    const nonces = createNonceManager({}, createWeb3({ count: 0 }))
+
+    return nonces
+      .reserve(address)
+      .then(function (nonce) {
+        nonces.release(address, nonce)
+        return nonces.reserve(address)
+      })
+      .should.eventually.equal(0)
+  })
+
+  it('should detect and fill the gap of a failed middle step', function () {
+    const node = { count: 2 }
+    const nonces = createNonceManager({}, createWeb3(node))
+
+    return Promise.all([
+      nonces.reserve(address),
+      nonces.reserve(address),
+      nonces.reserve(address)
+    ])
+      .then(function ([first, second, third]) {
+        nonces.confirm(address, first)
+        nonces.release(address, second)
+        nonces.confirm(address, third)
+        node.count = 3
+        return nonces.getGaps(address)
+      })
+      .then(function (gaps) {
+        gaps.should.deep.equal([3])
+        return nonces.reserve(address)
+      })
+      .then(function (nonce) {
+        nonce.should.equal(3)
+        return nonces.reserve(address)
+      })
+      .should.eventually.equal(5)
+  })
+
+  it('should catch up with the transactions sent elsewhere', function () {
+    const node = { count: 1 }
+    const nonces = createNonceManager({}, createWeb3(node))
+
+    return nonces
+      .reserve(address)
+      .then(function (nonce) {
+        nonces.confirm(address, nonce)
+        node.count = 7
+        return nonces.reserve(address)
+      })
+      .should.eventually.equal(7)
+  })
+
+  it('should not release a sent nonce', function () {
+    const nonces = createNonceManager({}, createWeb3({ count: 0 }))
+
+    return nonces
+      .reserve(address)
+      .then(function (nonce) {
+        nonces.confirm(address, nonce)
+        nonces.release(address, nonce)
+        return nonces.reserve(address)
+      })
+      .should.eventually.equal(1)
+  })
+})
@@ -0,0 +1,168 @@
+'use strict'
+
+const chai = require('chai')
+const chaiAsPromised = require('chai-as-promised')
+const Web3 = require('web3')
+
+const api = require('../src/plugins/wallet/api')
+const createNonceManager = require('../src/plugins/wallet/nonce-manager')
+const hdkey = require('../src/plugins/wallet/hdkey')
+const signers = require('../src/plugins/wallet/signers')
+
+chai.use(chaiAsPromised).should()
+
+const seed =
+  '5eb00bbddcf069084889a8ab9155568165f5c453ccb85e70811aaed6f6da5fc1' +
+  '9a5ac40b389cd370d086206dec8aa6c43daea6690f20ad3d8d48b2d2ce9e38e4'
+
+const { accounts } = new Web3().eth
+
+const transaction = {
+  chainId: 1,
+  data: '0x',
+  gas: 21000,
+  gasPrice: '1000000000',
+  nonce: 3,
+  to: '0x0000000000000000000000000000000000000001',
+  value: '1'
+}
+
+describe('Signers', function () {
+  it('should sign transactions with a private key', function () {
+    const { address, privateKey } = hdkey.getAddressAndPrivateKey(seed, 0)
+    const signer = signers.createPrivateKeySigner(privateKey)
+
+    signers.isSigner(signer).should.equal(true)
+    return Promise.all([
+      signer.getAddress(),
+      signer.signTransaction(transaction)
+    ]).then(function ([signerAddress, rawTransaction]) {
+      signerAddress.should.equal(address)
+      accounts.recoverTransaction(rawTransaction).should.equal(address)
+    })
+  })
+
+  it('should sign messages with a seed', function () {
+    const address = hdkey.getAddress(seed, 1)
+    const signer = signers.createHdSigner(seed, 1)
+
+    return signer.signMessage('hello').then(function (signature) {
+      accounts.recover('hello', signature).should.equal(address)
+    })
+  })
+
+  it('should sign as Web3 does', function () {
+    const privateKey = hdkey.getPrivateKey(seed, 0)
+    const signer = signers.createPrivateKeySigner(privateKey)
+    const common = { customChain: { chainId: 1, networkId: 1 } }
+
+    return Promise.all([
+      signer.signTransaction(transaction),
+      accounts.signTransaction(
+        Object.assign({ common }, transaction),
+        privateKey
+      ),
+      signer.signMessage('hello')
+    ]).then(function ([rawTransaction, signed, signature]) {
+      rawTransaction.should.equal(signed.rawTransaction)
+      signature.should.equal(accounts.sign('hello', privateKey).signature)
+    })
+  })
+
+  it('should wipe the key when destroyed', function () {
+    const signer = signers.createPrivateKeySigner(hdkey.getPrivateKey(seed, 0))
+
+    signer.destroy()
+    return signer
+      .signTransaction(transaction)
+      .should.be.rejectedWith('destroyed')
+  })
+
+  it('should use a private key to sign only once', function () {
+    const signer = signers.toSigner(hdkey.getPrivateKey(seed, 0))
+
+    return signer
+      .signTransaction(transaction)
+      .then(() => signer.signTransaction(transaction))
+      .should.be.rejectedWith('destroyed')
+  })
+
+  it('should not take private keys as signers', function () {
+    signers.isSigner(hdkey.getPrivateKey(seed, 0)).should.equal(false)
+  })
+})
+
+describe('Wallet sendTransaction', function () {
+  const from = '0x0000000000000000000000000000000000000002'
+
+  function createWeb3(sent) {
+    return {
+      eth: {
+        estimateGas: () => Promise.resolve(21000),
+        getGasPrice: () => Promise.resolve('1000000000'),
+        getTransactionCount: () => Promise.resolve(7),
+        sendSignedTransaction(raw) {
+          sent.push(raw)
+          return Promise.resolve({ transactionHash: '0x01' })
+        }
+      }
+    }
+  }
+
+  it('should fill the transaction and send it signed by a signer', function () {
+    const sent = []
+    const signed = []
+    const signer = {
+      getAddress: () => Promise.resolve(from),
+      signTransaction(tx) {
+        signed.push(tx)
+        return Promise.resolve('0xsigned')
+      }
+    }
+    const logTransaction = (promise, address, meta) =>
+      promise.then(receipt => ({ address, meta, receipt }))
+    const web3 = createWeb3(sent)
+    const nonces = createNonceManager({}, web3)
+    const send = api.sendTransaction(web3, logTransaction, nonces, 1)
+
+    return send(
+      signer,
+      { to: transaction.to, value: '1' },
+      { foo: 'bar' }
+    ).then(function (result) {
+      result.should.deep.equal({
+        address: from,
+        meta: { foo: 'bar' },
+        receipt: { transactionHash: '0x01' }
+      })
+      signed.should.deep.equal([
+        {
+          chainId: 1,
+          data: '0x',
+          gas: 21000,
+          gasPrice: '1000000000',
+          nonce: 7,
+          to: transaction.to,
+          value: '1'
+        }
+      ])
+      sent.should.deep.equal(['0xsigned'])
+    })
+  })
+
+  it('should reject if the signer is not the sender', function () {
+    const signer = {
+      getAddress: () => Promise.resolve(transaction.to),
+      signTransaction: () => Promise.resolve('0xsigned')
+    }
+    const web3 = createWeb3([])
+    const nonces = createNonceManager({}, web3)
+    const send = api.sendTransaction(web3, p => p, nonces, 1)
+
+    return send(signer, {
+      from,
+      to: transaction.to,
+      value: '1'
+    }).should.be.rejectedWith('does not match')
+  })
+})
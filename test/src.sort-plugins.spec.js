@@ -0,0 +1,54 @@
+'use strict'
+
+const chai = require('chai')
+
+const sortPlugins = require('../src/sort-plugins')
+
+const should = chai.should()
+
+const plugin = (name, dependencies) => ({ name, dependencies })
+
+describe('Plugins sorter', function () {
+  it('should keep the order if there are no dependencies', function () {
+    const plugins = [plugin('a'), plugin('b'), plugin('c')]
+    sortPlugins(plugins).should.deep.equal(plugins)
+  })
+
+  it('should start dependencies first', function () {
+    const a = plugin('a', ['c'])
+    const b = plugin('b', ['a'])
+    const c = plugin('c')
+    sortPlugins([a, b, c]).should.deep.equal([c, a, b])
+  })
+
+  it('should sort the bundled plugins', function () {
+    const createCore = require('../src')
+    const names = sortPlugins(
+      Object.values(createCore.plugins)
+        .reverse()
+        .map(create => create())
+    ).map(p => p.name)
+    names.indexOf('eth').should.be.below(names.indexOf('explorer'))
+    names.indexOf('explorer').should.be.below(names.indexOf('metronome'))
+    names.indexOf('tokens').should.be.below(names.indexOf('metronome'))
+  })
+
+  it('should throw on a missing dependency', function () {
+    should.Throw(
+      () => sortPlugins([plugin('a', ['b'])]),
+      'Plugin a depends on missing plugin b'
+    )
+  })
+
+  it('should throw on a dependency cycle', function () {
+    should.Throw(
+      () =>
+        sortPlugins([
+          plugin('a', ['b']),
+          plugin('b', ['c']),
+          plugin('c', ['b'])
+        ]),
+      'Circular plugin dependency: b -> c -> b'
+    )
+  })
+})
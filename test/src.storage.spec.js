@@ -0,0 +1,44 @@
+'use strict'
+
+const chai = require('chai')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+const { createFileStorage, createMemoryStorage } = require('../src/storage')
+
+chai.should()
+
+describe('Storage', function () {
+  it('should keep copies of the values in memory', function () {
+    const storage = createMemoryStorage()
+    const value = { block: 1 }
+    return storage
+      .set('key', value)
+      .then(function () {
+        value.block = 2
+        return storage.get('key')
+      })
+      .then(function (saved) {
+        saved.should.deep.equal({ block: 1 })
+        return storage.remove('key')
+      })
+      .then(() => storage.get('key'))
+      .then(function (saved) {
+        chai.expect(saved).to.equal(undefined)
+      })
+  })
+
+  it('should persist the values in a JSON file', function () {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'wallet-core-'))
+    const filePath = path.join(dir, 'storage.json')
+    return createFileStorage(filePath)
+      .set('key', { block: 1 })
+      .then(() => createFileStorage(filePath).get('key'))
+      .then(function (saved) {
+        saved.should.deep.equal({ block: 1 })
+        fs.unlinkSync(filePath)
+        fs.rmdirSync(dir)
+      })
+  })
+})
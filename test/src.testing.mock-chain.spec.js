@@ -0,0 +1,131 @@
+'use strict'
+
+const chai = require('chai')
+const Web3 = require('web3')
+
+const { createMockChain } = require('../src/testing')
+const { randomAddress } = require('./utils')
+const signers = require('../src/plugins/wallet/signers')
+
+chai.should()
+
+const topic = Web3.utils.sha3('Transfer(address,address,uint256)')
+
+describe('Mock chain', function () {
+  it('should answer the usual read methods', function () {
+    const chain = createMockChain({ chainId: 61 })
+    const web3 = new Web3(chain.provider)
+    const address = randomAddress()
+
+    chain.setBalance(address, 1000)
+    chain.mine({ logs: [{ address, topics: [topic] }], transactions: [{}] })
+    chain.mine()
+
+    return Promise.all([
+      web3.eth.getChainId(),
+      web3.eth.getBalance(address),
+      web3.eth.getBlock('latest'),
+      web3.eth.getPastLogs({ address, fromBlock: 0 })
+    ]).then(function ([chainId, balance, block, logs]) {
+      chainId.should.equal(61)
+      balance.should.equal('1000')
+      block.number.should.equal(2)
+      block.timestamp.should.equal(1600000030)
+      logs.should.have.lengthOf(1)
+      logs[0].blockNumber.should.equal(1)
+    })
+  })
+
+  it('should notify the logs removed by a reorg', function () {
+    const chain = createMockChain()
+    const web3 = new Web3(chain.provider)
+    const address = randomAddress()
+
+    return new Promise(function (resolve, reject) {
+      const subscription = web3.eth.subscribe('logs', { address })
+      subscription
+        .on('error', reject)
+        .on('data', function (log) {
+          log.removed.should.equal(false)
+          chain.reorg(1)
+        })
+        .on('changed', function (log) {
+          subscription.unsubscribe()
+          resolve(log)
+        })
+
+      setTimeout(function () {
+        chain.mine({ logs: [{ address, topics: [topic] }] })
+      }, 10)
+    })
+      .then(function (log) {
+        log.removed.should.equal(true)
+        return web3.eth.getPastLogs({ address, fromBlock: 0 })
+      })
+      .then(function (logs) {
+        logs.should.have.lengthOf(0)
+      })
+  })
+
+  it('should drop the subscriptions on disconnect', function () {
+    const chain = createMockChain()
+    const web3 = new Web3(chain.provider)
+
+    return new Promise(function (resolve) {
+      web3.eth.subscribe('newBlockHeaders').on('error', resolve)
+      setTimeout(chain.disconnect, 10)
+    })
+      .then(function (err) {
+        err.message.should.match(/connection got closed/)
+        chain.reconnect()
+        return web3.eth.getBlockNumber()
+      })
+      .then(function (number) {
+        number.should.equal(0)
+      })
+  })
+
+  it('should mine the signed transactions sent', function () {
+    const chain = createMockChain({ chainId: 61 })
+    const web3 = new Web3(chain.provider)
+    const signer = signers.createPrivateKeySigner(`0x${'1'.repeat(64)}`)
+    const to = randomAddress()
+
+    let from
+    return signer
+      .getAddress()
+      .then(function (address) {
+        from = address
+        return signer.signTransaction({
+          chainId: 61,
+          data: '0x',
+          gas: 50000,
+          gasPrice: '1',
+          nonce: 0,
+          to,
+          value: '1000'
+        })
+      })
+      .then(function (raw) {
+        const promiEvent = web3.eth.sendSignedTransaction(raw)
+        promiEvent.once('transactionHash', function () {
+          chain.mine()
+        })
+        return promiEvent
+      })
+      .then(function (receipt) {
+        receipt.from.should.equal(from.toLowerCase())
+        receipt.to.should.equal(to.toLowerCase())
+        receipt.gasUsed.should.equal(21000)
+        return Promise.all([
+          web3.eth.getTransaction(receipt.transactionHash),
+          web3.eth.getTransactionCount(from)
+        ])
+      })
+      .then(function ([transaction, count]) {
+        transaction.nonce.should.equal(0)
+        transaction.value.should.equal('1000')
+        count.should.equal(1)
+      })
+  })
+})
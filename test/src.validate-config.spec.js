@@ -0,0 +1,122 @@
+'use strict'
+
+const chai = require('chai')
+
+const createCore = require('../src')
+const validateConfig = require('../src/validate-config')
+
+const should = chai.should()
+
+describe('Config validation', function () {
+  const schema = {
+    chainId: { type: 'integer', min: 1 },
+    explorerDebounce: { type: 'integer', min: 0 },
+    wsApiUrl: { type: 'url', protocols: ['ws:', 'wss:'] }
+  }
+
+  it('should accept a valid config', function () {
+    const config = { chainId: 1, explorerDebounce: 0, wsApiUrl: 'ws://node' }
+    validateConfig(config, [schema]).should.equal(config)
+  })
+
+  it('should list all invalid fields', function () {
+    try {
+      validateConfig(
+        { chainId: '1', explorerDebounce: -1, wsApiUrl: 'http://node' },
+        [schema],
+        { wsApiURL: 'ws://node' }
+      )
+    } catch (err) {
+      err.errors
+        .map(e => e.key)
+        .should.deep.equal([
+          'wsApiURL',
+          'chainId',
+          'explorerDebounce',
+          'wsApiUrl'
+        ])
+      err.message.should.include('chainId must be an integer')
+      return
+    }
+    should.fail('Config should be invalid')
+  })
+
+  it('should combine the rules of all schemas', function () {
+    const check = id => (id === 1 ? undefined : 'is not supported')
+    should.Throw(
+      () =>
+        validateConfig({ chainId: 2 }, [
+          { chainId: schema.chainId },
+          { chainId: { check } }
+        ]),
+      'chainId is not supported'
+    )
+  })
+
+  it('should only change the values flagged as runtime', function () {
+    const schemas = [schema, { indexerUrl: { type: 'url', runtime: true } }]
+    const previous = {
+      chainId: 1,
+      explorerDebounce: 0,
+      indexerUrl: 'http://indexer',
+      wsApiUrl: 'ws://node'
+    }
+    const given = { chainId: 1, indexerUrl: 'http://other' }
+    const config = Object.assign({}, previous, given)
+    validateConfig(config, schemas, given, previous).should.equal(config)
+    should.Throw(
+      () =>
+        validateConfig(
+          Object.assign({}, previous, { explorerDebounce: 100 }),
+          schemas,
+          { explorerDebounce: 100 },
+          previous
+        ),
+      'explorerDebounce cannot be changed while running'
+    )
+  })
+
+  it('should only change the chain values flagged as runtime', function () {
+    const schemas = [
+      schema,
+      {
+        chains: { optional: true, type: 'array' },
+        indexerUrl: { type: 'url', runtime: true }
+      }
+    ]
+    const previous = {
+      chainId: 1,
+      chains: [{ chainId: 1 }, { chainId: 3 }],
+      explorerDebounce: 0,
+      indexerUrl: 'http://indexer',
+      wsApiUrl: 'ws://node'
+    }
+    const given = { chains: [{ chainId: 3, explorerDebounce: 100 }] }
+    try {
+      validateConfig(
+        Object.assign({}, previous, {
+          chains: [{ chainId: 1 }, { chainId: 3, explorerDebounce: 100 }]
+        }),
+        schemas,
+        given,
+        previous
+      )
+    } catch (err) {
+      err.errors.should.deep.equal([
+        {
+          key: 'chains[1].explorerDebounce',
+          message: 'cannot be changed while running'
+        }
+      ])
+      return
+    }
+    should.fail('Config should be invalid')
+  })
+
+  it('should reject a chain without Metronome contracts', function () {
+    should.Throw(
+      () => createCore().start({ chainId: 1000 }),
+      'chainId has no Metronome contracts deployed on chain 1000'
+    )
+  })
+})